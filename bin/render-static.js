@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Render a feed JSON file to static widget HTML
+ *
+ * Usage:
+ *   node bin/render-static.js <feed.json> [--option=value ...] > feed.html
+ *
+ * Options use the data attribute names without "data-", plus --id, e.g.
+ *   node bin/render-static.js mock-data.json --id=alerts --items-per-page=3
+ */
+
+import { readFile } from "node:fs/promises";
+import { renderStaticWidget } from "../src/static.js";
+import { getOptionName } from "../src/config.js";
+
+/**
+ * Parse --name=value arguments into widget options
+ * @param {Array<string>} args
+ * @returns {Object}
+ */
+function parseOptions(args) {
+  const options = {};
+
+  args.forEach((arg) => {
+    const match = arg.match(/^--([\w-]+)=(.*)$/);
+    const name = match && (match[1] === "id" ? "id" : getOptionName(match[1]));
+
+    if (!name) {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+    options[name] = match[2];
+  });
+
+  return options;
+}
+
+async function main() {
+  const [file, ...args] = process.argv.slice(2);
+
+  if (!file) {
+    console.error("Usage: node bin/render-static.js <feed.json> [--option=value ...]");
+    process.exit(1);
+  }
+
+  try {
+    const body = JSON.parse(await readFile(file, "utf8"));
+    process.stdout.write(`${renderStaticWidget(body, parseOptions(args))}\n`);
+  } catch (error) {
+    console.error(`Could not render ${file}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,232 @@
+/**
+ * Feed Aggregation Module
+ * Fetches several sources in parallel and merges them into one timeline,
+ * tagging each post with the source(s) it came from
+ */
+
+import { fetchFeed, getCachedFeed } from "./api.js";
+import { getPostTime } from "./validate.js";
+
+// Shorter messages (e.g. "Road closed") are too likely to repeat by chance
+// to be treated as the same post
+const MIN_DEDUPE_MESSAGE_LENGTH = 50;
+
+// Source ids already warned about posts past their first page, so polling
+// doesn't repeat the warning
+const truncationWarned = new Set();
+
+/**
+ * Fetch every source, keeping whichever succeed
+ * @param {Array<Object>} requests - `{ source, url, cacheKey, format }` per
+ *   source, where source is `{ id, label, colour }`
+ * @param {Object} options - Cache options passed to fetchFeed()
+ * @returns {Promise<Object>} - fetchFeed() result plus `failedSources`
+ *   (labels of sources that failed or fell back to cache)
+ * @throws {Error} - If every source fails with nothing cached
+ */
+export async function fetchAllSources(requests, options = {}) {
+  const outcomes = await Promise.allSettled(
+    requests.map((request) =>
+      fetchFeed(request.url, {
+        ...options,
+        sourceFormat: request.format,
+        cacheKey: request.cacheKey,
+      })
+    )
+  );
+
+  const results = [];
+  const errors = [];
+
+  outcomes.forEach((outcome, index) => {
+    const { source } = requests[index];
+    if (outcome.status === "fulfilled") {
+      results.push({ source, result: outcome.value });
+    } else {
+      errors.push({ source, error: outcome.reason });
+    }
+  });
+
+  if (results.length === 0) {
+    throw errors[0].error;
+  }
+
+  const fromCache = results.filter(({ result }) => result.fromCache);
+  const sourceErrors = errors
+    .map(({ source, error }) => ({ source, error: error.message }))
+    .concat(
+      fromCache.map(({ source, result }) => ({ source, error: result.error }))
+    );
+
+  return {
+    ...mergeResults(results, requests.length),
+    fromCache: fromCache.length === results.length,
+    error: sourceErrors.length > 0 ? sourceErrors[0].error : undefined,
+    sourceErrors,
+    failedSources: sourceErrors
+      .map(({ source }) => source.label)
+      .filter((label) => label),
+  };
+}
+
+/**
+ * Get cached data for every source without making API calls
+ * @param {Array<Object>} requests - `{ source, url, cacheKey, format }` per
+ *   source
+ * @param {Object} options - Cache options passed to getCachedFeed()
+ * @returns {Promise<Object|null>} - `{ data, paging, timestamp }`, or null
+ *   if no source has usable cache
+ */
+export async function getCachedSources(requests, options = {}) {
+  const cached = await Promise.all(
+    requests.map((request) =>
+      getCachedFeed(request.url, { ...options, cacheKey: request.cacheKey })
+    )
+  );
+  const results = requests
+    .map((request, index) => ({
+      source: request.source,
+      result: cached[index],
+    }))
+    .filter(({ result }) => result);
+
+  if (results.length === 0) return null;
+
+  return mergeResults(results, requests.length);
+}
+
+/**
+ * Merge per-source results into one newest-first list
+ * @param {Array<Object>} results - `{ source, result }` pairs
+ * @param {number} sourceCount - Number of sources requested
+ * @returns {Object} - `{ data, paging, diagnostics, timestamp }`, with each
+ *   diagnostic's `source` set to the source id
+ */
+function mergeResults(results, sourceCount) {
+  const diagnostics = results.flatMap(({ source, result }) =>
+    (result.diagnostics || []).map((diagnostic) => ({
+      ...diagnostic,
+      source: source.id,
+    }))
+  );
+
+  // A lone source keeps its own order and paging
+  if (sourceCount === 1) {
+    const [{ source, result }] = results;
+    return {
+      ...result,
+      data: source.label ? tagPosts(result.data, source) : result.data,
+      diagnostics,
+    };
+  }
+
+  // Further pages can't be interleaved across sources, so multi-source
+  // timelines show each source's first response only
+  warnTruncated(results);
+
+  return {
+    data: mergePosts(
+      results.map(({ source, result }) => tagPosts(result.data, source))
+    ),
+    paging: null,
+    diagnostics,
+    timestamp: results
+      .map(({ result }) => result.timestamp)
+      .reduce((oldest, time) => (time < oldest ? time : oldest)),
+  };
+}
+
+/**
+ * Warn once per source when a multi-source timeline leaves out posts that
+ * are only on the source's further pages
+ * @param {Array<Object>} results - `{ source, result }` pairs
+ */
+function warnTruncated(results) {
+  const names = results
+    .filter(
+      ({ source, result }) =>
+        result.paging && result.paging.next && !truncationWarned.has(source.id)
+    )
+    .map(({ source }) => {
+      truncationWarned.add(source.id);
+      return source.label || source.id;
+    });
+
+  if (names.length === 0) return;
+
+  console.warn(
+    `Multi-source timelines only show the first page of each source; older posts from ${names.join(
+      ", "
+    )} are left out. Shorten the date range to show them all.`
+  );
+}
+
+/**
+ * Record the source on a copy of each post
+ * @param {Array<Object>} posts
+ * @param {Object} source - `{ id, label, colour }`
+ * @returns {Array<Object>}
+ */
+function tagPosts(posts, source) {
+  return (posts || []).map((post) => ({ ...post, sources: [source] }));
+}
+
+/**
+ * Merge post lists by `created_time`, newest first. Posts that appear in
+ * more than one source (the same id, a share of another post, or the same
+ * long message) are kept once, on the earliest copy, with every source
+ * listed.
+ * @param {Array<Array<Object>>} lists - Tagged posts per source
+ * @returns {Array<Object>}
+ */
+export function mergePosts(lists) {
+  const oldestFirst = lists
+    .flat()
+    .sort((a, b) => getPostTime(a) - getPostTime(b));
+
+  const byKey = new Map();
+  const merged = [];
+
+  oldestFirst.forEach((post) => {
+    const keys = getDedupeKeys(post);
+    const original = keys.map((key) => byKey.get(key)).find((match) => match);
+
+    if (original) {
+      post.sources.forEach((source) => {
+        if (!original.sources.some((known) => known.id === source.id)) {
+          original.sources.push(source);
+        }
+      });
+    } else {
+      const copy = { ...post, sources: [...post.sources] };
+      merged.push(copy);
+      keys.forEach((key) => byKey.set(key, copy));
+    }
+  });
+
+  return merged.reverse();
+}
+
+/**
+ * Keys under which two posts count as the same post
+ * @param {Object} post
+ * @returns {Array<string>}
+ */
+function getDedupeKeys(post) {
+  const keys = [];
+
+  if (post.id) keys.push(`id:${post.id}`);
+  // Graph API shares point at the original post
+  if (post.parent_id) keys.push(`id:${post.parent_id}`);
+  if (post.permalink_url) keys.push(`url:${post.permalink_url}`);
+
+  const message = (post.message || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+  if (message.length >= MIN_DEDUPE_MESSAGE_LENGTH) {
+    keys.push(`message:${message}`);
+  }
+
+  return keys;
+}
@@ -0,0 +1,142 @@
+/**
+ * Emergency Alert Module
+ * Recognises templated emergency service messages (e.g. NTFRS) and renders
+ * them as structured alert cards
+ */
+
+import { createI18n } from "./i18n.js";
+
+// Field label at the start of a line, e.g. "ALERT LEVEL: Advice - ..."
+const FIELD_REGEX = /^([A-Z][A-Z ]{1,48}[A-Z]):\s*(.*)$/;
+
+const ALERT_LEVEL_FIELD = "ALERT LEVEL";
+
+// Australian Warning System levels, most severe first. `label` is matched
+// against the (English) message; `messageKey` is the badge text in the
+// widget's language.
+const ALERT_LEVELS = [
+  {
+    label: "Emergency Warning",
+    slug: "emergency",
+    messageKey: "alertEmergency",
+  },
+  {
+    label: "Watch and Act",
+    slug: "watch-and-act",
+    messageKey: "alertWatchAndAct",
+  },
+  { label: "Advice", slug: "advice", messageKey: "alertAdvice" },
+];
+
+/**
+ * Parse a post message into a structured alert
+ * @param {string} message - Raw post message
+ * @returns {Object|null} - `{ heading, level, levelDetail, fields }`, or null
+ *   if the message does not follow the alert template
+ */
+export function parseAlertMessage(message) {
+  if (!message) return null;
+
+  const heading = [];
+  const fields = [];
+  let current = null;
+
+  message.split("\n").forEach((rawLine) => {
+    const line = rawLine.trim();
+    const match = line.match(FIELD_REGEX);
+
+    if (match) {
+      current = { label: match[1], value: match[2].trim() };
+      fields.push(current);
+    } else if (!line) {
+      return;
+    } else if (current) {
+      // Continuation of the previous field's value
+      current.value += `\n${line}`;
+    } else {
+      heading.push(line);
+    }
+  });
+
+  const levelField = fields.find((field) => field.label === ALERT_LEVEL_FIELD);
+
+  // Require the alert level plus at least two other fields
+  if (!levelField || fields.length < 3) return null;
+
+  const level = ALERT_LEVELS.find((candidate) =>
+    levelField.value.toLowerCase().startsWith(candidate.label.toLowerCase())
+  );
+
+  return {
+    heading,
+    level: level || null,
+    levelDetail: level
+      ? levelField.value
+          .slice(level.label.length)
+          .replace(/^[\s\-–:]+/, "")
+      : levelField.value,
+    fields: fields.filter((field) => field !== levelField),
+  };
+}
+
+/**
+ * Render a parsed alert as an alert card
+ * @param {Object} alert - Result of parseAlertMessage()
+ * @param {Function} formatText - Escapes and linkifies plain text
+ * @param {Object} i18n - Translator from createI18n()
+ * @returns {string} - HTML string
+ */
+export function renderAlertCard(alert, formatText, i18n = createI18n()) {
+  const slug = alert.level ? alert.level.slug : "unknown";
+  const levelLabel = i18n.t(
+    alert.level ? alert.level.messageKey : "alertUnknown"
+  );
+
+  // Markup is joined without whitespace because the message container
+  // preserves whitespace for plain posts
+  const headingHtml = alert.heading
+    .map(
+      (line) => `<p class="securent-fb-alert-heading">${formatText(line)}</p>`
+    )
+    .join("");
+
+  const levelHtml =
+    `<p class="securent-fb-alert-level">` +
+    `<span class="securent-fb-alert-badge securent-fb-alert-badge-${slug}">` +
+    `<span class="securent-fb-visually-hidden">${formatText(
+      i18n.t("alertLevel")
+    )} </span>${formatText(levelLabel)}` +
+    `</span>` +
+    (alert.levelDetail
+      ? `<span class="securent-fb-alert-level-detail">${formatText(
+          alert.levelDetail
+        )}</span>`
+      : "") +
+    `</p>`;
+
+  const fieldsHtml = alert.fields
+    .map(
+      (field) =>
+        `<dt>${formatText(formatFieldLabel(field.label))}</dt>` +
+        `<dd>${formatText(field.value)}</dd>`
+    )
+    .join("");
+
+  return (
+    `<div class="securent-fb-alert securent-fb-alert-${slug}">` +
+    headingHtml +
+    levelHtml +
+    `<dl class="securent-fb-alert-fields">${fieldsHtml}</dl>` +
+    `</div>`
+  );
+}
+
+/**
+ * Convert an upper-case field label to sentence case
+ * @param {string} label - e.g. "ADVICE TO THE PUBLIC"
+ * @returns {string} - e.g. "Advice to the public"
+ */
+function formatFieldLabel(label) {
+  const lower = label.toLowerCase();
+  return lower.charAt(0).toUpperCase() + lower.slice(1);
+}
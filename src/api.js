@@ -1,31 +1,62 @@
 /**
  * API Integration Module
  * Handles fetching Facebook feed data with retry logic and persistent caching
+ * (IndexedDB by default, see storage.js)
  */
 
-const CACHE_KEY = "securent-fb-cache";
-const CACHE_TIME_KEY = "securent-fb-cache-time";
-const API_TIMEOUT = 5000; // 5 seconds
+import { normalizeFeed } from "./sources.js";
+import { validateFeed } from "./validate.js";
+import { createStorage } from "./storage.js";
+
+// 2: entries hold the normalised feed rather than the raw response
+const CACHE_VERSION = 2;
+const DEFAULT_CACHE_MAX_AGE = 7 * 24 * 60 * 60; // 7 days, in seconds
+
+// Request defaults, overridable per widget (see getRequestOptions())
+export const DEFAULT_REQUEST_TIMEOUT = 5; // seconds per attempt
+export const DEFAULT_RETRIES = 2; // after the first attempt
+export const DEFAULT_RETRY_DELAY = 1; // seconds, doubled after each retry
+
+// Consecutive failed requests to one endpoint before it is skipped, and how
+// long to skip it before letting one request through to test it
+const CIRCUIT_FAILURE_THRESHOLD = 3;
+const CIRCUIT_COOLDOWN = 30 * 1000;
+
+// Storage backend, created on first use (see setCacheStorage())
+let storage = null;
+
+// Requests in flight by URL, shared by every widget that asks for the same
+// URL while one is running
+const inFlight = new Map();
+
+// Circuit breaker state by endpoint (URL without its query):
+// `{ failures, openedAt, probing }`
+const circuits = new Map();
 
 /**
  * Fetch data from API with timeout and retry logic
  * @param {string} url - API endpoint URL
- * @param {number} retries - Number of retries remaining
- * @returns {Promise<Array>} - Array of posts
+ * @param {Object} options - From getRequestOptions()
+ * @param {number} options.timeout - Milliseconds per attempt
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.retryDelay - Milliseconds before the first retry,
+ *   doubled for each one after
+ * @returns {Promise<Array|Object|string>} - Parsed JSON, or XML text
  */
-async function fetchWithRetry(url, retries = 2) {
-  const delays = [1000, 2000]; // Exponential backoff delays
+async function fetchWithRetry(url, options) {
+  const { timeout, retries, retryDelay } = options;
 
   for (let attempt = 0; attempt <= retries; attempt++) {
     try {
       const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT);
+      const timeoutId = setTimeout(() => controller.abort(), timeout);
 
       const response = await fetch(url, {
         signal: controller.signal,
         method: "GET",
         headers: {
-          Accept: "application/json",
+          Accept:
+            "application/json, application/feed+json, application/rss+xml, application/atom+xml;q=0.9, application/xml;q=0.8",
         },
       });
 
@@ -34,60 +65,298 @@ async function fetchWithRetry(url, retries = 2) {
       if (!response.ok) {
         // Don't retry on 4xx errors (client errors)
         if (response.status >= 400 && response.status < 500) {
-          throw new Error(`API error: ${response.status}`);
+          const error = new Error(`API error: ${response.status}`);
+          error.isClientError = true;
+          throw error;
         }
         throw new Error(`HTTP ${response.status}`);
       }
 
-      const data = await response.json();
-
-      // Cache the successful response
-      saveToCache(data);
-
-      return data;
+      return parseBody(await response.text());
     } catch (error) {
-      // If this was the last attempt, throw the error
-      if (attempt === retries) {
+      // If this was the last attempt, throw the error. A malformed body
+      // would most likely come back the same, so it isn't retried either.
+      if (
+        attempt === retries ||
+        error.isClientError ||
+        error.isInvalidResponse
+      ) {
         console.error("API fetch failed after retries:", error);
         throw error;
       }
 
       // Wait before retrying (exponential backoff)
-      if (attempt < delays.length) {
-        await new Promise((resolve) => setTimeout(resolve, delays[attempt]));
+      await new Promise((resolve) =>
+        setTimeout(resolve, retryDelay * 2 ** attempt)
+      );
+    }
+  }
+}
+
+/**
+ * Resolve per-widget request settings, falling back to the defaults
+ * @param {Object} options - `requestTimeout` and `retryDelay` in seconds,
+ *   `retries` as a count
+ * @returns {Object} - `{ timeout, retries, retryDelay }`, in milliseconds
+ */
+function getRequestOptions(options = {}) {
+  const timeout =
+    options.requestTimeout > 0
+      ? options.requestTimeout
+      : DEFAULT_REQUEST_TIMEOUT;
+  const retries =
+    options.retries >= 0 ? Math.floor(options.retries) : DEFAULT_RETRIES;
+  const retryDelay =
+    options.retryDelay >= 0 ? options.retryDelay : DEFAULT_RETRY_DELAY;
+
+  return {
+    timeout: timeout * 1000,
+    retries,
+    retryDelay: retryDelay * 1000,
+  };
+}
+
+/**
+ * Fetch a URL once for everyone asking: widgets requesting a URL that is
+ * already in flight share its result, and endpoints whose circuit is open
+ * fail straight away so callers can go to the cache
+ * @param {string} url - API endpoint URL
+ * @param {Object} options - Request options (see fetchFeed()). Only the
+ *   first caller's timeout and retry settings apply to a shared request.
+ * @returns {Promise<Array|Object|string>} - Parsed body
+ */
+function requestBody(url, options) {
+  if (inFlight.has(url)) return inFlight.get(url);
+
+  const circuit = getCircuit(url);
+  if (!options.force && !allowRequest(circuit)) {
+    return Promise.reject(
+      new Error("API unavailable, skipping request until it recovers")
+    );
+  }
+
+  const request = fetchWithRetry(url, getRequestOptions(options))
+    .then(
+      (body) => {
+        recordSuccess(circuit);
+        return body;
+      },
+      (error) => {
+        // A 4xx or a malformed body means the server answered, so it isn't
+        // down
+        if (error.isClientError || error.isInvalidResponse) {
+          recordSuccess(circuit);
+        } else {
+          recordFailure(circuit);
+        }
+        throw error;
       }
+    )
+    .finally(() => inFlight.delete(url));
+
+  inFlight.set(url, request);
+  return request;
+}
+
+/**
+ * Circuit breaker state for the endpoint of a URL (origin and path).
+ * Widgets with different date ranges or cursors on the same endpoint share
+ * one circuit, while other endpoints on the same host keep their own.
+ * @param {string} url
+ * @returns {Object} - `{ failures, openedAt, probing }`
+ */
+function getCircuit(url) {
+  let key = url;
+  try {
+    const { origin, pathname } = new URL(url, window.location.href);
+    key = origin + pathname;
+  } catch (error) {
+    // Unparseable URLs get a circuit of their own
+  }
+
+  if (!circuits.has(key)) {
+    circuits.set(key, { failures: 0, openedAt: 0, probing: false });
+  }
+  return circuits.get(key);
+}
+
+/**
+ * Closed: allow. Open: refuse until the cooldown has passed, then let a
+ * single request through to test the API (half-open).
+ * @param {Object} circuit
+ * @returns {boolean}
+ */
+function allowRequest(circuit) {
+  if (circuit.failures < CIRCUIT_FAILURE_THRESHOLD) return true;
+  if (circuit.probing) return false;
+  if (Date.now() - circuit.openedAt < CIRCUIT_COOLDOWN) return false;
+
+  circuit.probing = true;
+  return true;
+}
+
+function recordSuccess(circuit) {
+  circuit.failures = 0;
+  circuit.openedAt = 0;
+  circuit.probing = false;
+}
+
+function recordFailure(circuit) {
+  circuit.failures++;
+  circuit.probing = false;
+
+  if (circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+    if (circuit.openedAt === 0) {
+      console.warn(
+        `API failed ${circuit.failures} times in a row, using cached feeds for ${
+          CIRCUIT_COOLDOWN / 1000
+        }s`
+      );
+    }
+    circuit.openedAt = Date.now();
+  }
+}
+
+/**
+ * Parse a response body: JSON for Graph and JSON Feed responses, or the raw
+ * text for RSS/Atom, which source adapters parse as XML
+ * @param {string} text - Response text
+ * @returns {Array|Object|string}
+ * @throws {Error} - If the body is neither JSON nor XML, flagged
+ *   `isInvalidResponse`
+ */
+function parseBody(text) {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith("<")) return trimmed;
+
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    error.isInvalidResponse = true;
+    throw error;
+  }
+}
+
+/**
+ * Resolve the configured max age to milliseconds
+ * @param {number} maxAge - Max age in seconds (0 = never expires)
+ * @returns {number}
+ */
+function getMaxAgeMs(maxAge) {
+  const seconds = Number.isFinite(maxAge) ? maxAge : DEFAULT_CACHE_MAX_AGE;
+  return seconds > 0 ? seconds * 1000 : Infinity;
+}
+
+/**
+ * Check a stored entry is in the current format
+ * @param {Object|null} entry
+ * @returns {boolean}
+ */
+function isValidEntry(entry) {
+  return (
+    !!entry &&
+    entry.version === CACHE_VERSION &&
+    typeof entry.timestamp === "number" &&
+    !!entry.feed &&
+    Array.isArray(entry.feed.data)
+  );
+}
+
+/**
+ * Choose where feeds are cached. Applies to every widget on the page.
+ * @param {string|Object} backend - "auto" (IndexedDB where available),
+ *   "indexeddb", "localstorage", or an object with async
+ *   read/write/remove/clear methods (see storage.js)
+ */
+export function setCacheStorage(backend) {
+  if (typeof backend === "string") {
+    const created = createStorage(backend);
+    if (!created) {
+      console.warn(`Unknown cache storage "${backend}", keeping the current one`);
+      return;
     }
+    storage = created;
+    return;
   }
+
+  if (
+    !backend ||
+    ["read", "write", "remove", "clear"].some(
+      (method) => typeof backend[method] !== "function"
+    )
+  ) {
+    console.warn("Cache storage needs read, write, remove and clear methods");
+    return;
+  }
+
+  storage = backend;
 }
 
 /**
- * Save data to localStorage cache
- * @param {Array} data - Data to cache
+ * @returns {Object} - The active storage backend
  */
-function saveToCache(data) {
+function getStorage() {
+  if (!storage) storage = createStorage();
+  return storage;
+}
+
+/**
+ * Save a normalised feed to the cache for a request URL, then drop expired
+ * entries so ones no widget reads any more don't pile up
+ * @param {string} url - Request URL (or cache key) the data belongs to
+ * @param {Object} feed - `{ data, paging }`
+ * @param {number} maxAge - Max age in seconds
+ * @returns {Promise<void>} - Never rejects; failures are logged
+ */
+async function saveToCache(url, feed, maxAge) {
+  const timestamp = Date.now();
+  const maxAgeMs = getMaxAgeMs(maxAge);
+
   try {
-    localStorage.setItem(CACHE_KEY, JSON.stringify(data));
-    localStorage.setItem(CACHE_TIME_KEY, new Date().toISOString());
+    await getStorage().write(url, {
+      version: CACHE_VERSION,
+      timestamp,
+      // null: never expires
+      expires: Number.isFinite(maxAgeMs) ? timestamp + maxAgeMs : null,
+      feed: { data: feed.data, paging: feed.paging },
+    });
+
+    // Optional for custom backends
+    if (typeof getStorage().prune === "function") {
+      await getStorage().prune(timestamp, getMaxAgeMs());
+    }
   } catch (error) {
     console.warn("Failed to save to cache:", error);
   }
 }
 
 /**
- * Get cached data from localStorage
- * @returns {Object|null} - Cached data and timestamp, or null
+ * Get a cached feed for a request URL
+ * @param {string} url - Request URL (or cache key) the data belongs to
+ * @param {number} maxAge - Max age in seconds
+ * @returns {Promise<Object|null>} - `{ data, paging, diagnostics,
+ *   timestamp }`, or null
  */
-function getFromCache() {
+async function getFromCache(url, maxAge) {
   try {
-    const data = localStorage.getItem(CACHE_KEY);
-    const timestamp = localStorage.getItem(CACHE_TIME_KEY);
+    const entry = await getStorage().read(url);
+    if (!entry) return null;
 
-    if (data && timestamp) {
-      return {
-        data: JSON.parse(data),
-        timestamp: new Date(timestamp),
-      };
+    if (
+      !isValidEntry(entry) ||
+      Date.now() - entry.timestamp > getMaxAgeMs(maxAge)
+    ) {
+      // Drop stale and old-format entries rather than reading them again
+      await getStorage().remove(url);
+      return null;
     }
+
+    // Checked again in case a custom backend or an older build stored it
+    return {
+      ...validateFeed(entry.feed),
+      timestamp: new Date(entry.timestamp),
+    };
   } catch (error) {
     console.warn("Failed to read from cache:", error);
   }
@@ -98,24 +367,47 @@ function getFromCache() {
 /**
  * Fetch feed data from API with fallback to cache
  * @param {string} apiUrl - API endpoint URL
- * @returns {Promise<Object>} - Object with data, fromCache flag, and timestamp
+ * @param {Object} options - Cache, request and source options
+ * @param {number} options.cacheMaxAge - Max age of cached data in seconds
+ * @param {string} options.sourceFormat - Source adapter name (default: detect)
+ * @param {number} options.requestTimeout - Seconds per attempt (default 5)
+ * @param {number} options.retries - Retries after the first attempt
+ *   (default 2)
+ * @param {number} options.retryDelay - Seconds before the first retry,
+ *   doubled for each one after (default 1)
+ * @param {boolean} options.force - Request even if the circuit breaker is
+ *   open, e.g. when the reader asks for a refresh
+ * @param {string} options.cacheKey - Cache entry to use (default: apiUrl),
+ *   e.g. one that stays the same when a rolling date in the URL changes
+ * @returns {Promise<Object>} - Object with data, paging, diagnostics (see
+ *   validateFeed()), fromCache flag, and timestamp
  */
-export async function fetchFeed(apiUrl) {
+export async function fetchFeed(apiUrl, options = {}) {
+  const cacheKey = options.cacheKey || apiUrl;
+
   try {
-    const data = await fetchWithRetry(apiUrl);
+    const body = await requestBody(apiUrl, options);
+
+    // Normalise and validate before caching so unreadable responses fall
+    // back to the cache, and bad posts are never stored
+    const feed = validateFeed(normalizeFeed(body, options.sourceFormat));
+
+    // Cache the successful response under its own cache key. Not awaited:
+    // the posts can render while the write finishes.
+    saveToCache(cacheKey, feed, options.cacheMaxAge);
+
     return {
-      data,
+      ...feed,
       fromCache: false,
       timestamp: new Date(),
     };
   } catch (error) {
     // Fallback to cached data
-    const cached = getFromCache();
+    const cached = await getFromCache(cacheKey, options.cacheMaxAge);
     if (cached) {
       return {
-        data: cached.data,
+        ...cached,
         fromCache: true,
-        timestamp: cached.timestamp,
         error: error.message,
       };
     }
@@ -127,8 +419,24 @@ export async function fetchFeed(apiUrl) {
 
 /**
  * Get cached data without making API call
- * @returns {Object|null}
+ * @param {string} apiUrl - API endpoint URL
+ * @param {Object} options - Cache options
+ * @param {number} options.cacheMaxAge - Max age of cached data in seconds
+ * @param {string} options.cacheKey - Cache entry to read (default: apiUrl)
+ * @returns {Promise<Object|null>} - `{ data, paging, diagnostics, timestamp }`
+ */
+export function getCachedFeed(apiUrl, options = {}) {
+  return getFromCache(options.cacheKey || apiUrl, options.cacheMaxAge);
+}
+
+/**
+ * Remove every cached feed, including entries in the legacy format
+ * @returns {Promise<void>}
  */
-export function getCachedFeed() {
-  return getFromCache();
+export async function clearCache() {
+  try {
+    await getStorage().clear();
+  } catch (error) {
+    console.warn("Failed to clear cache:", error);
+  }
 }
@@ -0,0 +1,79 @@
+/**
+ * Configuration Module
+ * Maps HTML attributes to widget options, shared by data-attribute
+ * auto-initialisation and the <securent-fb-feed> element
+ */
+
+// Option name -> attribute name, without the "data-" prefix
+export const OPTION_ATTRIBUTES = {
+  apiUrl: "api-url",
+  itemsPerPage: "items-per-page",
+  fallbackUrl: "fallback-url",
+  theme: "theme",
+  title: "title",
+  content: "content",
+  filterKeywords: "filter-keywords",
+  filter: "filter",
+  startDate: "start-date",
+  endDate: "end-date",
+  fallbackMessage: "fallback-message",
+  cardSize: "card-size",
+  cacheMaxAge: "cache-max-age",
+  staleWhileRevalidate: "stale-while-revalidate",
+  refreshInterval: "refresh-interval",
+  requestTimeout: "request-timeout",
+  retries: "retries",
+  retryDelay: "retry-delay",
+  search: "search",
+  template: "template",
+  locale: "locale",
+  timezone: "timezone",
+  pagination: "pagination",
+  groupUpdates: "group-updates",
+  deepLink: "deep-link",
+  sourceFormat: "source-format",
+  sources: "sources",
+  trustedTypes: "trusted-types",
+  messages: "messages",
+};
+
+/**
+ * Read widget options from an element's attributes. Missing and empty
+ * attributes are left out so the widget defaults apply.
+ * @param {HTMLElement} element
+ * @param {string} prefix - Attribute prefix, e.g. "data-"
+ * @param {Object} renames - Attribute names to use instead of the defaults,
+ *   keyed by option name
+ * @returns {Object} - Options for FacebookFeedWidget
+ */
+export function readOptions(element, prefix = "", renames = {}) {
+  const config = {};
+
+  Object.keys(OPTION_ATTRIBUTES).forEach((key) => {
+    const name = renames[key] || OPTION_ATTRIBUTES[key];
+    const value = element.getAttribute(`${prefix}${name}`);
+
+    if (value !== null && value !== "") {
+      config[key] = value;
+    }
+  });
+
+  return config;
+}
+
+/**
+ * Find the option an attribute sets
+ * @param {string} attributeName - e.g. "data-start-date"
+ * @param {string} prefix - Attribute prefix, e.g. "data-"
+ * @param {Object} renames - As for readOptions()
+ * @returns {string|null} - Option name, e.g. "startDate"
+ */
+export function getOptionName(attributeName, prefix = "", renames = {}) {
+  const key = Object.keys(OPTION_ATTRIBUTES).find(
+    (option) =>
+      `${prefix}${renames[option] || OPTION_ATTRIBUTES[option]}` ===
+      attributeName
+  );
+
+  return key || null;
+}
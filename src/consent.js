@@ -3,13 +3,18 @@
  * Displays information about cached data
  */
 
+import { createI18n } from "./i18n.js";
+import { escapeHtml } from "./sanitize.js";
+
 /**
  * Create cached data notice HTML
  * @param {Date} timestamp - When the cache was created
+ * @param {Object} i18n - Translator from createI18n()
  * @returns {string} - HTML string
  */
-export function createCacheNotice(timestamp) {
-  const dateStr = formatCacheDate(timestamp);
+export function createCacheNotice(timestamp, i18n = createI18n()) {
+  const dateStr = i18n.formatRelativeTime(timestamp);
+  const message = escapeHtml(i18n.t("cacheNotice", { date: dateStr }));
 
   return `
     <div class="securent-fb-cache-notice" role="alert">
@@ -18,36 +23,7 @@ export function createCacheNotice(timestamp) {
         <line x1="12" y1="9" x2="12" y2="13"></line>
         <line x1="12" y1="17" x2="12.01" y2="17"></line>
       </svg>
-      <span>Showing posts from ${dateStr}. Unable to load latest updates.</span>
+      <span>${message}</span>
     </div>
   `;
 }
-
-/**
- * Format cache date for display
- * @param {Date} date
- * @returns {string}
- */
-function formatCacheDate(date) {
-  const now = new Date();
-  const diffMs = now - date;
-  const diffMins = Math.floor(diffMs / 60000);
-  const diffHours = Math.floor(diffMs / 3600000);
-  const diffDays = Math.floor(diffMs / 86400000);
-
-  if (diffMins < 1) return "just now";
-  if (diffMins < 60)
-    return `${diffMins} minute${diffMins !== 1 ? "s" : ""} ago`;
-  if (diffHours < 24)
-    return `${diffHours} hour${diffHours !== 1 ? "s" : ""} ago`;
-  if (diffDays < 7) return `${diffDays} day${diffDays !== 1 ? "s" : ""} ago`;
-
-  // Format as DD/MM/YYYY HH:MM
-  const day = String(date.getDate()).padStart(2, "0");
-  const month = String(date.getMonth() + 1).padStart(2, "0");
-  const year = date.getFullYear();
-  const hours = String(date.getHours()).padStart(2, "0");
-  const minutes = String(date.getMinutes()).padStart(2, "0");
-
-  return `${day}/${month}/${year} ${hours}:${minutes}`;
-}
@@ -0,0 +1,224 @@
+/**
+ * Custom Element Module
+ * <securent-fb-feed> wraps FacebookFeedWidget in a shadow root, so host page
+ * styles can't leak in and the widget's styles can't leak out
+ */
+
+import { FacebookFeedWidget, UPDATABLE_OPTIONS } from "./widget.js";
+import { OPTION_ATTRIBUTES, readOptions, getOptionName } from "./config.js";
+
+export const ELEMENT_NAME = "securent-fb-feed";
+
+// `title` would show as a tooltip over the whole element
+const ELEMENT_ATTRIBUTE_NAMES = { title: "feed-title" };
+
+// Captured while the bundle's <script> is running, to find the stylesheet
+// published next to it (securent-fb-widget[.min].js -> securent-fb-widget.css)
+const SCRIPT_URL = document.currentScript ? document.currentScript.src : "";
+
+// Base styles the light-DOM widget gets from the host page (the Bootstrap
+// pagination classes), which don't reach into a shadow root
+const SHADOW_STYLES = `
+  :host { display: block; }
+  :host([hidden]) { display: none; }
+  .pagination { display: flex; flex-wrap: wrap; padding-left: 0; margin: 1.5rem 0 0; list-style: none; }
+  .justify-content-center { justify-content: center; }
+  .page-link { display: block; padding: 0.375rem 0.75rem; margin-left: -1px; background-color: #fff; border: 1px solid #dee2e6; }
+  .page-item:first-child .page-link { margin-left: 0; border-radius: 4px 0 0 4px; }
+  .page-item:last-child .page-link { border-radius: 0 4px 4px 0; }
+  .page-item.disabled .page-link { color: #6c757d; background-color: #fff; }
+`;
+
+/**
+ * Work out the stylesheet URL from the bundle's own URL
+ * @returns {string|null}
+ */
+function getDefaultStylesheet() {
+  if (!SCRIPT_URL) return null;
+  return SCRIPT_URL.replace(/(\.min)?\.js(\?.*)?$/, ".css");
+}
+
+export class SecureNTFeedElement extends HTMLElement {
+  static get observedAttributes() {
+    return Object.keys(OPTION_ATTRIBUTES)
+      .map((key) => ELEMENT_ATTRIBUTE_NAMES[key] || OPTION_ATTRIBUTES[key])
+      .concat(["stylesheet"]);
+  }
+
+  constructor() {
+    super();
+    this.widget = null;
+    this.extraOptions = {};
+    this.changeQueued = false;
+    this.changedOptions = new Set();
+    this.rebuildNeeded = false;
+
+    const root = this.attachShadow({ mode: "open" });
+
+    const style = document.createElement("style");
+    style.textContent = SHADOW_STYLES;
+
+    this.stylesheet = document.createElement("link");
+    this.stylesheet.rel = "stylesheet";
+
+    this.container = null;
+
+    root.append(this.stylesheet, style);
+  }
+
+  /**
+   * Options that can't be expressed as attributes, e.g. a `renderPost`
+   * callback. Merged over the attribute values.
+   * @type {Object}
+   */
+  get options() {
+    return this.extraOptions;
+  }
+
+  set options(value) {
+    this.extraOptions = value || {};
+    this.queueChange(null);
+  }
+
+  connectedCallback() {
+    // A property set before the element was upgraded shadows the accessor
+    if (Object.prototype.hasOwnProperty.call(this, "options")) {
+      const value = this.options;
+      delete this.options;
+      this.extraOptions = value || {};
+    }
+
+    // Moved within the page: keep the running widget
+    if (this.widget) return;
+
+    this.build();
+  }
+
+  disconnectedCallback() {
+    // Frameworks often detach and reattach while reordering, so only tear
+    // down once the element has stayed out of the document
+    queueMicrotask(() => {
+      if (!this.isConnected) this.teardown();
+    });
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue || !this.widget) return;
+
+    if (name === "stylesheet") {
+      this.updateStylesheet();
+      return;
+    }
+
+    this.queueChange(getOptionName(name, "", ELEMENT_ATTRIBUTE_NAMES));
+  }
+
+  /**
+   * Apply changes once per microtask, however many attributes change
+   * together
+   * @param {string|null} option - Changed option, or null to rebuild
+   */
+  queueChange(option) {
+    if (!this.widget) return;
+
+    if (option) {
+      this.changedOptions.add(option);
+    } else {
+      this.rebuildNeeded = true;
+    }
+
+    if (this.changeQueued) return;
+    this.changeQueued = true;
+    queueMicrotask(() => this.applyChanges());
+  }
+
+  /**
+   * Pass queued changes to widget.update() where it supports them, and
+   * rebuild the widget for anything else
+   */
+  applyChanges() {
+    const changed = Array.from(this.changedOptions);
+    const rebuild =
+      this.rebuildNeeded ||
+      changed.some((option) => !UPDATABLE_OPTIONS.includes(option));
+
+    this.changeQueued = false;
+    this.changedOptions.clear();
+    this.rebuildNeeded = false;
+
+    if (!this.isConnected || !this.widget) return;
+
+    if (rebuild) {
+      this.teardown();
+      this.build();
+      return;
+    }
+
+    const options = this.getWidgetOptions();
+    const partial = {};
+    changed.forEach((option) => {
+      partial[option] = options[option];
+    });
+    this.widget.update(partial);
+  }
+
+  /**
+   * Attribute values with the `options` property merged over them
+   * @returns {Object}
+   */
+  getWidgetOptions() {
+    return {
+      ...readOptions(this, "", ELEMENT_ATTRIBUTE_NAMES),
+      // Keeps URL parameters and post links stable across rebuilds
+      id: this.id || undefined,
+      ...this.extraOptions,
+    };
+  }
+
+  updateStylesheet() {
+    const stylesheet =
+      this.getAttribute("stylesheet") || getDefaultStylesheet();
+    if (stylesheet && this.stylesheet.getAttribute("href") !== stylesheet) {
+      this.stylesheet.href = stylesheet;
+    }
+  }
+
+  build() {
+    this.updateStylesheet();
+
+    // A fresh container each time, so nothing the previous widget attached
+    // (classes, listeners) carries over
+    const container = document.createElement("div");
+    container.setAttribute("part", "widget");
+    if (this.container) {
+      this.container.replaceWith(container);
+    } else {
+      this.shadowRoot.appendChild(container);
+    }
+    this.container = container;
+
+    this.widget = new FacebookFeedWidget(container, this.getWidgetOptions());
+
+    // Same lookup as data-attribute widgets, for getInstance()
+    this._securentFbWidget = this.widget;
+  }
+
+  teardown() {
+    if (!this.widget) return;
+
+    this.widget.destroy();
+    this.widget = null;
+    this._securentFbWidget = null;
+  }
+}
+
+/**
+ * Register <securent-fb-feed>, unless another copy of the bundle already has
+ */
+export function defineFeedElement() {
+  if (!window.customElements || window.customElements.get(ELEMENT_NAME)) {
+    return;
+  }
+
+  window.customElements.define(ELEMENT_NAME, SecureNTFeedElement);
+}
@@ -0,0 +1,217 @@
+/**
+ * Filter Expression Module
+ * Compiles boolean filter expressions (AND/OR/NOT, quoted phrases,
+ * whole-word terms and /regex/) into post message matchers
+ *
+ * Grammar:
+ *   expression := and ( "OR" and )*
+ *   and        := not ( "AND"? not )*
+ *   not        := "NOT" not | primary
+ *   primary    := "(" expression ")" | "phrase" | /regex/flags | word
+ */
+
+// Character classes used for whole-word matching
+const WORD_CHAR = "[\\p{L}\\p{N}_]";
+const NON_WORD_CHAR = "[^\\p{L}\\p{N}_]";
+
+const OPERATORS = ["AND", "OR", "NOT"];
+
+/**
+ * Compile a filter expression into a matcher function
+ * @param {string} expression - e.g. `heatwave AND NOT "bureau of meteorology"`
+ * @returns {Function} - `(text) => boolean`
+ * @throws {Error} - If the expression is invalid; the message names the
+ *   position of the problem
+ */
+export function compileFilter(expression) {
+  const tokens = tokenize(expression);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+
+  const fail = (message, token = peek()) => {
+    throw syntaxError(
+      expression,
+      token ? token.position : expression.length,
+      message
+    );
+  };
+
+  const parseExpression = () => {
+    let left = parseAnd();
+    while (peek() && peek().type === "OR") {
+      next();
+      const right = parseAnd();
+      const lhs = left;
+      left = (text) => lhs(text) || right(text);
+    }
+    return left;
+  };
+
+  const parseAnd = () => {
+    let left = parseNot();
+    for (;;) {
+      const token = peek();
+      if (!token || token.type === "OR" || token.type === ")") break;
+      if (token.type === "AND") next();
+      const right = parseNot();
+      const lhs = left;
+      left = (text) => lhs(text) && right(text);
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    if (peek() && peek().type === "NOT") {
+      next();
+      const operand = parseNot();
+      return (text) => !operand(text);
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    if (!token) fail("expected a search term but the expression ended");
+
+    if (token.type === "(") {
+      const inner = parseExpression();
+      if (!peek() || peek().type !== ")") fail('missing closing ")"', token);
+      next();
+      return inner;
+    }
+
+    if (token.type === "TERM") {
+      return (text) => token.regex.test(text);
+    }
+
+    return fail(`unexpected "${token.value}"`, token);
+  };
+
+  if (tokens.length === 0) fail("the expression is empty");
+
+  const matcher = parseExpression();
+  if (peek()) fail(`unexpected "${peek().value}"`);
+
+  return (text) => matcher(text || "");
+}
+
+/**
+ * Split an expression into operator, parenthesis and term tokens
+ * @param {string} expression
+ * @returns {Array<Object>}
+ */
+function tokenize(expression) {
+  const tokens = [];
+  let i = 0;
+
+  const fail = (message, position) => {
+    throw syntaxError(expression, position, message);
+  };
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === "(" || char === ")") {
+      tokens.push({ type: char, value: char, position: i });
+      i++;
+    } else if (char === '"') {
+      const end = expression.indexOf('"', i + 1);
+      if (end === -1) fail("unterminated quoted phrase", i);
+
+      const phrase = expression.slice(i + 1, end).trim();
+      if (!phrase) fail("empty quoted phrase", i);
+
+      // Words in a phrase may be separated by any whitespace
+      const pattern = phrase.split(/\s+/).map(escapeRegExp).join("\\s+");
+
+      tokens.push({
+        type: "TERM",
+        value: phrase,
+        position: i,
+        regex: wholeWordRegex(pattern),
+      });
+      i = end + 1;
+    } else if (char === "/") {
+      const match = expression
+        .slice(i)
+        .match(/^\/((?:\\.|[^\\/])+)\/([a-z]*)/);
+      if (!match) fail("unterminated regular expression", i);
+
+      // g and y make test() resume from lastIndex, so the same regex would
+      // alternate between matching and not matching successive posts
+      const flags = (match[2] || "i").replace(/[gy]/g, "");
+
+      let regex;
+      try {
+        regex = new RegExp(match[1], flags);
+      } catch (error) {
+        fail(`invalid regular expression (${error.message})`, i);
+      }
+
+      tokens.push({ type: "TERM", value: match[0], position: i, regex });
+      i += match[0].length;
+    } else {
+      const match = expression.slice(i).match(/^[^\s()"]+/);
+      const word = match[0];
+
+      if (OPERATORS.includes(word)) {
+        tokens.push({ type: word, value: word, position: i });
+      } else {
+        // A trailing * matches any word ending, e.g. cyclone* -> cyclones
+        const wildcard = word.length > 1 && word.endsWith("*");
+        const stem = escapeRegExp(wildcard ? word.slice(0, -1) : word);
+
+        tokens.push({
+          type: "TERM",
+          value: word,
+          position: i,
+          regex: wholeWordRegex(wildcard ? `${stem}${WORD_CHAR}*` : stem),
+        });
+      }
+      i += word.length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Create an error describing where an expression is invalid
+ * @param {string} expression - Full expression
+ * @param {number} position - Zero-based index of the problem
+ * @param {string} message - What is wrong
+ * @returns {Error}
+ */
+function syntaxError(expression, position, message) {
+  return new Error(
+    `Invalid filter expression at position ${
+      position + 1
+    }: ${message} in "${expression}"`
+  );
+}
+
+/**
+ * Build a case-insensitive regex that only matches whole words
+ * @param {string} pattern - Regex source for the term
+ * @returns {RegExp}
+ */
+function wholeWordRegex(pattern) {
+  return new RegExp(
+    `(?:^|${NON_WORD_CHAR})${pattern}(?=$|${NON_WORD_CHAR})`,
+    "iu"
+  );
+}
+
+/**
+ * Escape regex special characters in literal text
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
@@ -0,0 +1,208 @@
+/**
+ * Localisation Module
+ * Message catalogues for UI strings plus Intl-based date and relative time
+ * formatting shared by every part of the widget
+ */
+
+import { DEFAULT_TIME_ZONE } from "./timezone.js";
+
+const DEFAULT_LOCALE = "en-AU";
+
+// Messages may be plain strings or { one, other } plural forms.
+// Placeholders use {name}.
+const catalogues = {
+  en: {
+    defaultTitle: "Latest from SecureNT",
+    refresh: "Refresh",
+    refreshLabel: "Refresh posts",
+    refreshing: "Refreshing...",
+    updating: "Updating...",
+    lastUpdated: "Last updated: {time}",
+    justNow: "just now",
+    previous: "Previous",
+    next: "Next",
+    paginationLabel: "navigation",
+    pageLabel: "Page {page}",
+    pageStatus: "Page {page} of {totalPages}, showing posts {start}–{end}",
+    morePages: "More pages available",
+    loadMore: "Load more posts",
+    loadingMore: "Loading more posts...",
+    loadMoreFailed: "Couldn't load more posts.",
+    retryLoadMore: "Try again",
+    showingPosts: "Showing posts {start}–{end}",
+    seeMore: "See more",
+    seeLess: "See less",
+    fallbackMessage: "Unable to load posts at this time.",
+    fallbackLink: "Visit SecureNT on Facebook",
+    cacheNotice: "Showing posts from {date}. Unable to load latest updates.",
+    sourceFailed: "Unable to load the latest posts from {sources}.",
+    sourceLabel: "Source:",
+    newUpdates: {
+      one: "{count} new update",
+      other: "{count} new updates",
+    },
+    showNewUpdates: "Show",
+    earlierUpdates: {
+      one: "{count} earlier update",
+      other: "{count} earlier updates",
+    },
+    searchLabel: "Search posts",
+    searchResults: {
+      one: '{count} post matches "{term}"',
+      other: '{count} posts match "{term}"',
+    },
+    searchAll: {
+      one: "Showing {count} post",
+      other: "Showing all {count} posts",
+    },
+    searchEmpty: 'No posts match "{term}".',
+    photo: "Photo",
+    watchVideo: "Watch video on Facebook",
+    viewOnFacebook: "View on Facebook",
+    copyLink: "Copy link",
+    copyLinkPrompt: "Copy this link to the post:",
+    linkCopied: "Link copied",
+    alertLevel: "Alert level:",
+    alertEmergency: "Emergency Warning",
+    alertWatchAndAct: "Watch and Act",
+    alertAdvice: "Advice",
+    alertUnknown: "Alert",
+    imageViewer: "Image viewer",
+    previousImage: "Previous image",
+    nextImage: "Next image",
+    closeImageViewer: "Close image viewer",
+    imageCounter: "Image {index} of {count}",
+  },
+};
+
+/**
+ * Add or extend the message catalogue for a locale
+ * @param {string} locale - BCP 47 tag, e.g. "en-AU" or "gup"
+ * @param {Object} messages - Messages to add; missing keys fall back to English
+ */
+export function registerLocale(locale, messages) {
+  const key = locale.toLowerCase();
+  catalogues[key] = { ...(catalogues[key] || {}), ...messages };
+}
+
+/**
+ * Create a translator and date formatter for a locale
+ * @param {string} locale - BCP 47 tag (defaults to en-AU)
+ * @param {Object} overrides - Per-widget message overrides
+ * @param {string} timeZone - IANA time zone dates are shown in
+ * @returns {Object} - `{ locale, timeZone, t, formatRelativeTime,
+ *   formatDateTime, formatDate }`
+ */
+export function createI18n(
+  locale = DEFAULT_LOCALE,
+  overrides = {},
+  timeZone = DEFAULT_TIME_ZONE
+) {
+  const requested = locale || DEFAULT_LOCALE;
+  const formatLocale = resolveFormatLocale(requested);
+  const language = requested.toLowerCase().split("-")[0];
+
+  // Most specific first: overrides, exact locale, language, English
+  const messages = {
+    ...catalogues.en,
+    ...(catalogues[language] || {}),
+    ...(catalogues[requested.toLowerCase()] || {}),
+    ...overrides,
+  };
+
+  const pluralRules = new Intl.PluralRules(formatLocale);
+  const relativeFormat = new Intl.RelativeTimeFormat(formatLocale, {
+    numeric: "auto",
+  });
+  const dateFormat = new Intl.DateTimeFormat(formatLocale, {
+    timeZone,
+    day: "2-digit",
+    month: "2-digit",
+    year: "numeric",
+  });
+  // Times include the zone abbreviation (e.g. ACST) so visitors elsewhere
+  // aren't misled
+  const dateTimeFormat = new Intl.DateTimeFormat(formatLocale, {
+    timeZone,
+    day: "2-digit",
+    month: "2-digit",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+    timeZoneName: "short",
+  });
+
+  /**
+   * Look up a message and fill in its placeholders
+   * @param {string} key - Message key
+   * @param {Object} params - Placeholder values; `count` selects plural forms
+   * @returns {string}
+   */
+  const t = (key, params = {}) => {
+    let message = messages[key];
+
+    if (message && typeof message === "object") {
+      const form =
+        params.count !== undefined
+          ? pluralRules.select(params.count)
+          : "other";
+      message = message[form] || message.other;
+    }
+
+    if (typeof message !== "string") return key;
+
+    return message.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] !== undefined ? String(params[name]) : match
+    );
+  };
+
+  const formatDate = (date) => dateFormat.format(date);
+
+  const formatDateTime = (date) => dateTimeFormat.format(date);
+
+  /**
+   * "5 minutes ago" style times, switching to a date after a week
+   * @param {Date} date
+   * @returns {string}
+   */
+  const formatRelativeTime = (date) => {
+    const diffMs = Date.now() - date;
+    const diffMins = Math.floor(diffMs / 60000);
+    const diffHours = Math.floor(diffMs / 3600000);
+    const diffDays = Math.floor(diffMs / 86400000);
+
+    if (diffMins < 1) return t("justNow");
+    if (diffMins < 60) return relativeFormat.format(-diffMins, "minute");
+    if (diffHours < 24) return relativeFormat.format(-diffHours, "hour");
+    if (diffDays < 7) return relativeFormat.format(-diffDays, "day");
+
+    return formatDate(date);
+  };
+
+  return {
+    locale: requested,
+    timeZone,
+    t,
+    formatRelativeTime,
+    formatDateTime,
+    formatDate,
+  };
+}
+
+/**
+ * Pick a locale Intl can format with. Locales Intl doesn't know (including
+ * many Aboriginal languages) use Australian English dates.
+ * @param {string} locale
+ * @returns {string}
+ */
+function resolveFormatLocale(locale) {
+  try {
+    const supported = Intl.DateTimeFormat.supportedLocalesOf([locale]);
+    if (supported.length > 0) return supported[0];
+  } catch (error) {
+    console.warn(`Invalid locale "${locale}", using ${DEFAULT_LOCALE}`);
+  }
+
+  return DEFAULT_LOCALE;
+}
@@ -3,61 +3,184 @@
  * Main entry point - auto-initializes on DOM ready
  */
 
-import { FacebookFeedWidget } from "./widget.js";
+import { FacebookFeedWidget, UPDATABLE_OPTIONS } from "./widget.js";
+import { clearCache, setCacheStorage } from "./api.js";
+import { registerLocale } from "./i18n.js";
+import { registerSourceAdapter } from "./sources.js";
+import { OPTION_ATTRIBUTES, readOptions, getOptionName } from "./config.js";
+import { defineFeedElement } from "./element.js";
+import { registerServiceWorker } from "./offline.js";
 import "./styles.css";
 
 (function (window) {
   "use strict";
 
+  const WIDGET_SELECTOR = "[data-securent-fb-widget]";
+
+  let mutationObserver = null;
+
   /**
    * Initialize all widgets on the page
    */
   function initWidgets() {
-    const elements = document.querySelectorAll("[data-securent-fb-widget]");
+    document.querySelectorAll(WIDGET_SELECTOR).forEach(initWidget);
+  }
+
+  /**
+   * Initialize one widget element
+   * @param {HTMLElement} element
+   */
+  function initWidget(element) {
+    // Skip if already initialized
+    if (element.hasAttribute("data-securent-fb-initialized")) {
+      return;
+    }
+
+    // Parse configuration from data attributes
+    const config = readOptions(element, "data-");
+
+    // Initialize widget
+    const widget = new FacebookFeedWidget(element, config);
+
+    // Mark as initialized
+    element.setAttribute("data-securent-fb-initialized", "true");
+
+    // Store widget instance on element for manual access
+    element._securentFbWidget = widget;
+  }
+
+  /**
+   * Destroy a widget and clear its markers, so the element can be
+   * initialized again
+   * @param {HTMLElement} element
+   */
+  function destroyWidget(element) {
+    if (element._securentFbWidget) {
+      element._securentFbWidget.destroy();
+    }
+    element._securentFbWidget = null;
+    element.removeAttribute("data-securent-fb-initialized");
+  }
+
+  /**
+   * The widget element a node is, or contains
+   * @param {Node} node
+   * @returns {Array<HTMLElement>}
+   */
+  function findWidgetElements(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return [];
 
-    elements.forEach((element) => {
-      // Skip if already initialized
-      if (element.hasAttribute("data-securent-fb-initialized")) {
+    const elements = Array.from(node.querySelectorAll(WIDGET_SELECTOR));
+    return node.matches(WIDGET_SELECTOR) ? [node, ...elements] : elements;
+  }
+
+  /**
+   * Apply changed data attributes to a running widget: in place when
+   * update() supports every option, otherwise by recreating it
+   * @param {HTMLElement} element
+   * @param {Array<string>} options - Names of the changed options
+   */
+  function applyAttributeChanges(element, options) {
+    const widget = element._securentFbWidget;
+    if (!widget) return;
+
+    if (!options.every((option) => UPDATABLE_OPTIONS.includes(option))) {
+      destroyWidget(element);
+      initWidget(element);
+      return;
+    }
+
+    const config = readOptions(element, "data-");
+    const partial = {};
+    options.forEach((option) => {
+      partial[option] = config[option];
+    });
+    widget.update(partial);
+  }
+
+  /**
+   * MutationObserver callback: initialize added widgets, destroy removed
+   * ones and apply changed data attributes
+   * @param {Array<MutationRecord>} records
+   */
+  function handleMutations(records) {
+    // Changed options per element, so several attributes set together
+    // cause a single update
+    const changes = new Map();
+
+    records.forEach((record) => {
+      if (record.type === "attributes") {
+        const element = record.target;
+
+        if (record.attributeName === "data-securent-fb-widget") {
+          if (element.hasAttribute("data-securent-fb-widget")) {
+            initWidget(element);
+          } else {
+            destroyWidget(element);
+          }
+          return;
+        }
+
+        if (!element._securentFbWidget) return;
+        if (!changes.has(element)) changes.set(element, new Set());
+        changes.get(element).add(getOptionName(record.attributeName, "data-"));
         return;
       }
 
-      // Parse configuration from data attributes
-      const config = {
-        apiUrl: element.getAttribute("data-api-url"),
-        itemsPerPage: element.getAttribute("data-items-per-page"),
-        fallbackUrl: element.getAttribute("data-fallback-url"),
-        theme: element.getAttribute("data-theme"),
-        title: element.getAttribute("data-title"),
-        content: element.getAttribute("data-content"),
-        filterKeywords: element.getAttribute("data-filter-keywords"),
-        startDate: element.getAttribute("data-start-date"),
-        endDate: element.getAttribute("data-end-date"),
-        fallbackMessage: element.getAttribute("data-fallback-message"),
-        cardSize: element.getAttribute("data-card-size"),
-      };
-
-      // Remove null/undefined/empty values
-      Object.keys(config).forEach((key) => {
-        if (
-          config[key] === null ||
-          config[key] === undefined ||
-          config[key] === ""
-        ) {
-          delete config[key];
-        }
+      record.removedNodes.forEach((node) => {
+        findWidgetElements(node).forEach((element) => {
+          // Nodes moved elsewhere on the page are also reported as removed
+          if (!element.isConnected && element._securentFbWidget) {
+            destroyWidget(element);
+          }
+        });
       });
 
-      // Initialize widget
-      const widget = new FacebookFeedWidget(element, config);
+      record.addedNodes.forEach((node) => {
+        findWidgetElements(node).forEach((element) => {
+          if (element.isConnected) initWidget(element);
+        });
+      });
+    });
+
+    changes.forEach((options, element) =>
+      applyAttributeChanges(element, Array.from(options))
+    );
+  }
 
-      // Mark as initialized
-      element.setAttribute("data-securent-fb-initialized", "true");
+  /**
+   * Watch for widget elements being added, changed or removed after load
+   * (e.g. by a SPA router or a CMS preview)
+   * @param {Node} root - Subtree to watch (default: the whole document)
+   */
+  function observeWidgets(root = document.documentElement) {
+    if (mutationObserver) return;
 
-      // Store widget instance on element for manual access
-      element._securentFbWidget = widget;
+    initWidgets();
+
+    mutationObserver = new MutationObserver(handleMutations);
+    mutationObserver.observe(root, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ["data-securent-fb-widget"].concat(
+        Object.keys(OPTION_ATTRIBUTES).map(
+          (option) => `data-${OPTION_ATTRIBUTES[option]}`
+        )
+      ),
     });
   }
 
+  /**
+   * Stop watching started by observeWidgets(). Running widgets are kept.
+   */
+  function stopObservingWidgets() {
+    if (!mutationObserver) return;
+
+    mutationObserver.disconnect();
+    mutationObserver = null;
+  }
+
   /**
    * Public API
    */
@@ -67,6 +190,18 @@ import "./styles.css";
      */
     init: initWidgets,
 
+    /**
+     * Opt in to initializing widgets added after load, re-applying changed
+     * data-* attributes and destroying widgets whose elements are removed
+     * @param {Node} root - Subtree to watch (default: the whole document)
+     */
+    observe: observeWidgets,
+
+    /**
+     * Stop watching for widget changes
+     */
+    stopObserving: stopObservingWidgets,
+
     /**
      * Create a widget programmatically
      * @param {HTMLElement} element - Container element
@@ -86,6 +221,42 @@ import "./styles.css";
       return element._securentFbWidget || null;
     },
 
+    /**
+     * Remove all cached feed data
+     * @returns {Promise<void>}
+     */
+    clearCache: clearCache,
+
+    /**
+     * Choose where feeds are cached: "auto" (default, IndexedDB where
+     * available), "indexeddb", "localstorage", or a custom backend object
+     * @param {string|Object} backend
+     */
+    setCacheStorage: setCacheStorage,
+
+    /**
+     * Register the offline service worker (dist/securent-fb-sw.js, hosted
+     * on this site) so this page opens with its last feed when offline
+     * @param {string} url - Worker URL (default: "/securent-fb-sw.js")
+     * @param {Object} options - Registration options, e.g. `{ scope }`
+     * @returns {Promise<ServiceWorkerRegistration|null>}
+     */
+    registerServiceWorker: registerServiceWorker,
+
+    /**
+     * Add or extend a message catalogue, e.g. for a community language
+     * @param {string} locale - BCP 47 tag
+     * @param {Object} messages - Message strings keyed by message id
+     */
+    registerLocale: registerLocale,
+
+    /**
+     * Add a named source adapter for another feed format
+     * @param {string} name - Value for data-source-format
+     * @param {Object} adapter - `{ detect(body), normalize(body) }`
+     */
+    registerSourceAdapter: registerSourceAdapter,
+
     /**
      * Version
      */
@@ -95,6 +266,10 @@ import "./styles.css";
   // Expose to global scope
   window.SecureNTFacebookWidget = SecureNTFacebookWidget;
 
+  // Register <securent-fb-feed>. Elements already on the page, and any
+  // inserted later (e.g. by a SPA framework), start themselves.
+  defineFeedElement();
+
   // Auto-initialize on DOM ready
   if (document.readyState === "loading") {
     document.addEventListener("DOMContentLoaded", initWidgets);
@@ -0,0 +1,142 @@
+/**
+ * Lightbox Module
+ * Keyboard-accessible image viewer for photo and album attachments
+ */
+
+import { createI18n } from "./i18n.js";
+import { trustedHtml } from "./sanitize.js";
+
+let activeLightbox = null;
+
+/**
+ * Open the lightbox
+ * @param {Array<Object>} items - Images as `{ src, alt }`
+ * @param {number} startIndex - Index of the image to show first
+ * @param {HTMLElement} returnFocusTo - Element to refocus when closed
+ * @param {Object} i18n - Translator from createI18n()
+ * @param {Node} container - Where to attach the overlay (e.g. a shadow root)
+ * @param {Object} owner - Whatever opened it (e.g. a widget), so it can close
+ *   its own lightbox without closing another's
+ */
+export function openLightbox(
+  items,
+  startIndex = 0,
+  returnFocusTo = null,
+  i18n = createI18n(),
+  container = document.body,
+  owner = null
+) {
+  if (!items || items.length === 0) return;
+
+  closeLightbox();
+
+  let index = startIndex;
+  const hasMultiple = items.length > 1;
+
+  const overlay = document.createElement("div");
+  overlay.className = "securent-fb-lightbox";
+  overlay.setAttribute("role", "dialog");
+  overlay.setAttribute("aria-modal", "true");
+  overlay.setAttribute("aria-label", i18n.t("imageViewer"));
+  overlay.innerHTML = trustedHtml(`
+    <div class="securent-fb-lightbox-content">
+      <img class="securent-fb-lightbox-image" alt="">
+      <p class="securent-fb-lightbox-counter" aria-live="polite"></p>
+      ${
+        hasMultiple
+          ? `<button type="button" class="securent-fb-lightbox-prev">&lsaquo;</button>
+             <button type="button" class="securent-fb-lightbox-next">&rsaquo;</button>`
+          : ""
+      }
+      <button type="button" class="securent-fb-lightbox-close">&times;</button>
+    </div>
+  `);
+
+  const image = overlay.querySelector(".securent-fb-lightbox-image");
+  const counter = overlay.querySelector(".securent-fb-lightbox-counter");
+  const closeBtn = overlay.querySelector(".securent-fb-lightbox-close");
+  const prevBtn = overlay.querySelector(".securent-fb-lightbox-prev");
+  const nextBtn = overlay.querySelector(".securent-fb-lightbox-next");
+
+  // Labels set via the DOM so translations need no escaping
+  closeBtn.setAttribute("aria-label", i18n.t("closeImageViewer"));
+  if (prevBtn) prevBtn.setAttribute("aria-label", i18n.t("previousImage"));
+  if (nextBtn) nextBtn.setAttribute("aria-label", i18n.t("nextImage"));
+
+  const show = (newIndex) => {
+    index = (newIndex + items.length) % items.length;
+    image.src = items[index].src;
+    image.alt = items[index].alt || "";
+    counter.textContent = hasMultiple
+      ? i18n.t("imageCounter", { index: index + 1, count: items.length })
+      : "";
+  };
+
+  const handleKeydown = (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      closeLightbox();
+    } else if (e.key === "ArrowLeft" && hasMultiple) {
+      e.preventDefault();
+      show(index - 1);
+    } else if (e.key === "ArrowRight" && hasMultiple) {
+      e.preventDefault();
+      show(index + 1);
+    } else if (e.key === "Tab") {
+      // Keep focus inside the dialog
+      const focusable = Array.from(overlay.querySelectorAll("button"));
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+
+      const active = overlay.getRootNode().activeElement;
+
+      if (e.shiftKey && active === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && active === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
+  };
+
+  overlay.addEventListener("keydown", handleKeydown);
+  overlay.addEventListener("click", (e) => {
+    // Clicking the backdrop closes the viewer
+    if (e.target === overlay) closeLightbox();
+  });
+  closeBtn.addEventListener("click", () => closeLightbox());
+  if (prevBtn) prevBtn.addEventListener("click", () => show(index - 1));
+  if (nextBtn) nextBtn.addEventListener("click", () => show(index + 1));
+
+  activeLightbox = {
+    overlay,
+    returnFocusTo,
+    owner,
+    bodyOverflow: document.body.style.overflow,
+  };
+
+  show(index);
+  container.appendChild(overlay);
+  document.body.style.overflow = "hidden";
+  closeBtn.focus();
+}
+
+/**
+ * Close the lightbox if open and return focus to the element that opened it
+ * @param {Object} owner - Only close the lightbox if this opened it
+ */
+export function closeLightbox(owner = null) {
+  if (!activeLightbox) return;
+  if (owner && activeLightbox.owner !== owner) return;
+
+  const { overlay, returnFocusTo, bodyOverflow } = activeLightbox;
+  activeLightbox = null;
+
+  overlay.remove();
+  document.body.style.overflow = bodyOverflow;
+
+  if (returnFocusTo && returnFocusTo.isConnected) {
+    returnFocusTo.focus();
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Offline Module
+ * Registers the optional service worker (sw.js) and tells it which page and
+ * files to keep, so a page visited once opens without a connection and the
+ * widget shows its cached feed
+ */
+
+export const PRECACHE_MESSAGE = "securent-fb-precache";
+
+const DEFAULT_WORKER_URL = "/securent-fb-sw.js";
+
+// Resource Timing initiator types worth keeping for an offline visit.
+// Feed requests ("fetch") are cached by the widget itself.
+const ASSET_INITIATORS = ["script", "link", "css"];
+const IMAGE_INITIATORS = ["img"];
+
+/**
+ * Register the service worker and send it this page and its files
+ * @param {string} url - Worker script URL, on the site's own origin
+ *   (default: "/securent-fb-sw.js")
+ * @param {Object} options - Passed to navigator.serviceWorker.register(),
+ *   e.g. `{ scope: "/alerts/" }`
+ * @returns {Promise<ServiceWorkerRegistration|null>} - null if service
+ *   workers are unsupported or registration failed
+ */
+export async function registerServiceWorker(
+  url = DEFAULT_WORKER_URL,
+  options = {}
+) {
+  if (!("serviceWorker" in navigator)) {
+    console.warn("Service workers not supported, feed won't load offline");
+    return null;
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.register(url, options);
+    const worker = await whenActive(registration);
+
+    // This page loaded before the worker was running, so it has to be told
+    // what to keep
+    worker.postMessage({ type: PRECACHE_MESSAGE, ...getPageResources() });
+
+    return registration;
+  } catch (error) {
+    console.warn("Failed to register service worker:", error);
+    return null;
+  }
+}
+
+/**
+ * Wait for a registration's worker to activate
+ * @param {ServiceWorkerRegistration} registration
+ * @returns {Promise<ServiceWorker>}
+ */
+function whenActive(registration) {
+  if (registration.active) return Promise.resolve(registration.active);
+
+  const worker = registration.installing || registration.waiting;
+
+  return new Promise((resolve, reject) => {
+    worker.addEventListener("statechange", () => {
+      if (worker.state === "activated") resolve(worker);
+      if (worker.state === "redundant") {
+        reject(new Error("Service worker failed to install"));
+      }
+    });
+  });
+}
+
+/**
+ * The page URL and the files it has loaded so far
+ * @returns {Object} - `{ page, assets, images }`
+ */
+function getPageResources() {
+  const entries = performance.getEntriesByType("resource");
+  const byInitiator = (types) =>
+    entries
+      .filter((entry) => types.includes(entry.initiatorType))
+      .map((entry) => entry.name);
+
+  return {
+    page: location.href.split("#")[0],
+    assets: byInitiator(ASSET_INITIATORS),
+    images: byInitiator(IMAGE_INITIATORS),
+  };
+}
@@ -0,0 +1,1036 @@
+/**
+ * Renderer Module
+ * The DOM-free half of the widget: option parsing, post selection and every
+ * piece of markup. Used by FacebookFeedWidget in the browser and by the
+ * static renderer in Node.
+ */
+
+import { createCacheNotice } from "./consent.js";
+import { parseAlertMessage, renderAlertCard } from "./alerts.js";
+import { compileFilter } from "./filter.js";
+import { createI18n } from "./i18n.js";
+import {
+  sanitizeHtml,
+  sanitizeLayout,
+  safeUrl,
+  escapeHtml,
+  IMAGE_SCHEMES,
+} from "./sanitize.js";
+import { resolveTimeZone } from "./timezone.js";
+import { groupPosts } from "./threads.js";
+
+const ALBUM_PREVIEW_COUNT = 4; // photos shown in an album grid
+const PAGINATION_MODES = ["pages", "load-more", "infinite"];
+const DEFAULT_FALLBACK_URL = "https://www.facebook.com/SecureNT";
+
+// How characters can appear in escaped text (see escapeAttribute()), as
+// regular expression source for highlightMatches()
+const ESCAPED_FORMS = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': '(?:"|&quot;)',
+  "'": "(?:'|&#039;)",
+  "\u00a0": "&nbsp;",
+};
+
+// Markers on server-rendered widgets, removed as the widget hydrates
+export const STATIC_CLASS = "securent-fb-static";
+export const STATIC_DATA_CLASS = "securent-fb-static-data";
+
+export class FeedRenderer {
+  /**
+   * @param {Object} options - Widget options; only the ones that affect
+   *   markup are read here
+   */
+  constructor(options = {}) {
+    const timeZone = resolveTimeZone(options.timezone);
+    this.i18n = createI18n(
+      options.locale,
+      this.parseMessages(options.messages),
+      timeZone
+    );
+    this.options = {
+      itemsPerPage: parseInt(options.itemsPerPage) || 5,
+      fallbackUrl: this.parseFallbackUrl(options.fallbackUrl),
+      theme: options.theme || "light",
+      title: options.title || this.i18n.t("defaultTitle"),
+      content: this.parseContent(options.content),
+      cardSize: options.cardSize || "full",
+      search: options.search === true || options.search === "true",
+      renderPost: this.parseRenderPost(options.renderPost),
+      locale: options.locale || null,
+      timezone: timeZone,
+      pagination: options.pagination || "pages",
+      groupUpdates:
+        options.groupUpdates === true || options.groupUpdates === "true",
+    };
+
+    if (!PAGINATION_MODES.includes(this.options.pagination)) {
+      console.warn(
+        `Invalid pagination mode "${this.options.pagination}", using "pages"`
+      );
+      this.options.pagination = "pages";
+    }
+
+    this.filterKeywords = this.parseFilterKeywords(options.filterKeywords);
+    this.filterMatcher = this.parseFilter(options.filter);
+
+    // Prefix for post anchors and form control IDs
+    this.urlKey = options.id || "securent-fb";
+    this.postTemplate = null;
+
+    // Everything fetched, before keyword and filter expression matching
+    this.fetchedPosts = [];
+    this.posts = [];
+    this.currentPage = 1;
+    this.searchTerm = "";
+    this.nextPageUrl = null;
+    // API page that failed to load in load-more/infinite mode, which is
+    // retried by the reader rather than automatically
+    this.failedPageUrl = null;
+    this.fromCache = false;
+    this.cacheTimestamp = null;
+    this.lastUpdated = null;
+    this.isRevalidating = false;
+    this.failedSources = [];
+    this.pendingFeed = null;
+
+    // Diagnostics already reported, so polling doesn't repeat them
+    this.reportedDiagnostics = new Set();
+  }
+
+  /**
+   * Sanitise author HTML for the header. The sanitiser parses HTML, so
+   * without a DOM the content is left out.
+   * @param {string} content
+   * @returns {string|null}
+   */
+  parseContent(content) {
+    if (!content) return null;
+
+    if (typeof document === "undefined") {
+      console.warn("Header content can't be sanitised without a DOM, skipping");
+      return null;
+    }
+
+    // Author HTML is reduced to allowlisted formatting and safe links
+    return sanitizeHtml(content);
+  }
+
+  /**
+   * Accept a renderPost callback. Its markup is sanitised, which needs a
+   * DOM, so without one the default layout is used.
+   * @param {Function} renderPost - `(post, parts) => html`
+   * @returns {Function|null}
+   */
+  parseRenderPost(renderPost) {
+    if (typeof renderPost !== "function") return null;
+
+    if (typeof document === "undefined") {
+      console.warn(
+        "renderPost output can't be sanitised without a DOM, using the default layout"
+      );
+      return null;
+    }
+
+    return renderPost;
+  }
+
+  /**
+   * Markup for the whole widget: notices, header, posts and pagination
+   * @returns {string} - HTML string
+   */
+  renderFeed() {
+    let html = "";
+
+    // Cache notice
+    if (this.fromCache) {
+      html += createCacheNotice(this.cacheTimestamp, this.i18n);
+    } else if (this.failedSources.length > 0) {
+      html += this.renderSourceNotice();
+    }
+
+    // Header with refresh button
+    html += this.renderHeader();
+
+    // New posts found by background refresh
+    html += this.renderNewPostsBanner();
+
+    // Posts and pagination
+    html += `<div class="securent-fb-results">${this.renderResults()}</div>`;
+
+    // Announces page changes to screen readers
+    html += `<div class="securent-fb-page-status securent-fb-visually-hidden" aria-live="polite"></div>`;
+
+    return html;
+  }
+
+  renderNewPostsBanner() {
+    if (!this.pendingFeed) return "";
+
+    const count = this.pendingFeed.newCount;
+
+    return `
+      <div class="securent-fb-new-posts" role="status">
+        <span>${this.escapeHtml(this.i18n.t("newUpdates", { count }))}</span>
+        <button type="button" class="securent-fb-show-new">${this.escapeHtml(
+          this.i18n.t("showNewUpdates")
+        )}</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Number of pages that can be shown from the posts held locally
+   * @returns {number}
+   */
+  getTotalPages() {
+    return Math.ceil(this.getVisiblePosts().length / this.options.itemsPerPage);
+  }
+
+  /**
+   * Posts matching the reader's search term (all posts when not searching).
+   * A thread matches if any of its posts does.
+   * @returns {Array}
+   */
+  getVisiblePosts() {
+    const term = this.searchTerm.toLowerCase();
+    if (!term) return this.posts;
+
+    return this.posts.filter((post) =>
+      [post]
+        .concat(post.thread || [])
+        .some((update) => (update.message || "").toLowerCase().includes(term))
+    );
+  }
+
+  /**
+   * Wrap search matches in <mark> within already-escaped HTML.
+   * Only text between tags is touched, so link markup stays intact.
+   * @param {string} html - Escaped HTML from renderMessage()
+   * @returns {string}
+   */
+  highlightMatches(html) {
+    if (!this.searchTerm) return html;
+
+    // Each character matches however escapeHtml() or escapeAttribute()
+    // wrote it, so terms with quotes ("don't") are found in either
+    const term = Array.from(this.searchTerm)
+      .map(
+        (char) =>
+          ESCAPED_FORMS[char] || char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+      )
+      .join("");
+    // Other entities are matched whole, so a term can't start inside one
+    const termRegex = new RegExp(`(${term})|&[#\\w]+;`, "gi");
+
+    return html
+      .split(/(<[^>]*>)/)
+      .map((part) =>
+        part.startsWith("<")
+          ? part
+          : part.replace(termRegex, (match, found) =>
+              found
+                ? `<mark class="securent-fb-highlight">${match}</mark>`
+                : match
+            )
+      )
+      .join("");
+  }
+
+  /**
+   * Replace the fetched posts and apply the keyword and expression filters
+   * @param {Array<Object>} posts - Posts as fetched
+   */
+  setPosts(posts) {
+    this.fetchedPosts = posts || [];
+
+    const filtered = this.filterPosts(this.fetchedPosts);
+    // Pages count threads rather than individual posts
+    this.posts = this.options.groupUpdates ? groupPosts(filtered) : filtered;
+  }
+
+  filterPosts(posts) {
+    if (!posts || posts.length === 0) return [];
+
+    return posts.filter((post) => {
+      // Keyword filtering (date filtering now handled server-side)
+      if (this.filterKeywords && this.filterKeywords.length > 0) {
+        const message = (post.message || "").toLowerCase();
+        const hasKeyword = this.filterKeywords.some((keyword) =>
+          message.includes(keyword)
+        );
+
+        if (!hasKeyword) {
+          return false;
+        }
+      }
+
+      // Filter expression (applied in addition to keywords)
+      if (this.filterMatcher && !this.filterMatcher(post.message)) {
+        return false;
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Parse semicolon-separated filter keywords
+   * @param {string} value - e.g. "fire; flood"
+   * @returns {Array<string>|null} - Lower-case keywords, or null for none
+   */
+  parseFilterKeywords(value) {
+    if (!value) return null;
+
+    return value
+      .split(";")
+      .map((k) => k.trim().toLowerCase())
+      .filter((k) => k);
+  }
+
+  /**
+   * Compile a boolean filter expression (AND/OR/NOT, phrases, regex)
+   * @param {string} value
+   * @returns {Function|null} - Matcher, or null when absent or invalid
+   */
+  parseFilter(value) {
+    if (!value) return null;
+
+    try {
+      return compileFilter(value);
+    } catch (error) {
+      console.error(`${error.message}. The filter has been ignored.`);
+      return null;
+    }
+  }
+
+  /**
+   * Only allow http(s)/mailto fallback links
+   * @param {string} url
+   * @returns {string}
+   */
+  parseFallbackUrl(url) {
+    if (!url) return DEFAULT_FALLBACK_URL;
+
+    const safe = safeUrl(url);
+    if (!safe) {
+      console.warn(`Unsafe fallback URL "${url}", using default`);
+      return DEFAULT_FALLBACK_URL;
+    }
+
+    return safe;
+  }
+
+  /**
+   * Notice naming the sources that could not be loaded
+   * @returns {string} - HTML string
+   */
+  renderSourceNotice() {
+    const count = this.failedSources.length;
+
+    return `
+      <div class="securent-fb-source-notice" part="notice" role="status">
+        ${this.escapeHtml(
+          this.i18n.t("sourceFailed", {
+            count,
+            sources: this.failedSources.join(", "),
+          })
+        )}
+      </div>
+    `;
+  }
+
+  /**
+   * Badges naming the source(s) of a post in a multi-source timeline
+   * @param {Object} post
+   * @returns {string} - HTML string, empty for single-source feeds
+   */
+  renderSourceBadges(post) {
+    if (!post.sources || post.sources.length === 0) return "";
+
+    const badges = post.sources
+      .map((source) => {
+        const style = source.colour
+          ? ` style="--securent-fb-source-colour: ${this.escapeAttribute(
+              source.colour
+            )}"`
+          : "";
+        return `<span class="securent-fb-source-badge" part="source-badge"${style}>${this.escapeHtml(
+          source.label
+        )}</span>`;
+      })
+      .join("");
+
+    return `<div class="securent-fb-sources"><span class="securent-fb-visually-hidden">${this.escapeHtml(
+      this.i18n.t("sourceLabel")
+    )} </span>${badges}</div>`;
+  }
+
+  /**
+   * Render the current page of posts and the pagination controls
+   * @returns {string} - HTML string
+   */
+  renderResults() {
+    const visiblePosts = this.getVisiblePosts();
+    const isPaged = this.options.pagination === "pages";
+    // Load-more and infinite modes show every page up to the current one
+    const start = isPaged
+      ? (this.currentPage - 1) * this.options.itemsPerPage
+      : 0;
+    const end = this.currentPage * this.options.itemsPerPage;
+    const pagePosts = visiblePosts.slice(start, end);
+    const totalPages = this.getTotalPages();
+
+    if (this.searchTerm && visiblePosts.length === 0) {
+      return `
+        <div class="securent-fb-empty" part="empty">
+          <p>${this.escapeHtml(
+            this.i18n.t("searchEmpty", { term: this.searchTerm })
+          )}</p>
+        </div>
+      `;
+    }
+
+    let html = '<div class="securent-fb-feed">';
+    pagePosts.forEach((post) => {
+      html += this.renderPostSafely(post);
+    });
+    html += "</div>";
+
+    // Pagination (shown when more pages are held locally or on the API)
+    if (!isPaged) {
+      html += this.renderMoreControls();
+    } else if (totalPages > 1 || this.nextPageUrl) {
+      html += this.renderPagination(totalPages);
+    }
+
+    return html;
+  }
+
+  /**
+   * Render the "Load more" button, or the sentinel that triggers infinite
+   * scrolling, while further posts are available. After a failed API page
+   * both modes show a retry button, so infinite scrolling doesn't keep
+   * requesting it.
+   * @returns {string} - HTML string
+   */
+  renderMoreControls() {
+    const shown = this.currentPage * this.options.itemsPerPage;
+    const hasMore =
+      this.getVisiblePosts().length > shown || !!this.nextPageUrl;
+
+    if (!hasMore) return "";
+
+    if (this.failedPageUrl && this.failedPageUrl === this.nextPageUrl) {
+      return `<div class="securent-fb-more"><p class="securent-fb-more-error">${this.escapeHtml(
+        this.i18n.t("loadMoreFailed")
+      )}</p><button type="button" class="securent-fb-btn-more" part="load-more">${this.escapeHtml(
+        this.i18n.t("retryLoadMore")
+      )}</button></div>`;
+    }
+
+    if (this.options.pagination === "infinite") {
+      return `<div class="securent-fb-more"><div class="securent-fb-sentinel" aria-hidden="true"></div></div>`;
+    }
+
+    return `<div class="securent-fb-more"><button type="button" class="securent-fb-btn-more" part="load-more">${this.escapeHtml(
+      this.i18n.t("loadMore")
+    )}</button></div>`;
+  }
+
+  renderHeader() {
+    const contentHtml = this.options.content
+      ? `<div class="securent-fb-header-content">${this.options.content}</div>`
+      : "";
+
+    const lastUpdatedHtml = this.lastUpdated
+      ? `<div class="securent-fb-last-updated">${this.escapeHtml(
+          this.i18n.t("lastUpdated", {
+            time: this.formatAbsoluteTime(this.lastUpdated),
+          })
+        )}</div>`
+      : "";
+
+    const updatingHtml = this.isRevalidating
+      ? `<div class="securent-fb-updating" role="status">
+          <div class="securent-fb-spinner"></div>
+          <span>${this.escapeHtml(this.i18n.t("updating"))}</span>
+        </div>`
+      : "";
+
+    return `
+      <div class="securent-fb-header" part="header">
+        <div class="securent-fb-header-top">
+          <h2 part="title">${this.escapeHtml(this.options.title)}</h2>
+          ${this.renderRefreshButton()}
+        </div>
+        ${lastUpdatedHtml}
+        ${updatingHtml}
+        ${contentHtml}
+        ${this.renderSearch()}
+      </div>
+      <div class="securent-fb-loading" style="display: none;">
+        <div class="securent-fb-spinner"></div>
+        <span>${this.escapeHtml(this.i18n.t("refreshing"))}</span>
+      </div>
+    `;
+  }
+
+  renderRefreshButton() {
+    const refreshLabel = this.escapeAttribute(this.i18n.t("refreshLabel"));
+
+    return `<button class="securent-fb-refresh" part="refresh-button" aria-label="${refreshLabel}" title="${refreshLabel}">
+            <svg class="securent-fb-icon-refresh" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <polyline points="23 4 23 10 17 10"></polyline>
+              <polyline points="1 20 1 14 7 14"></polyline>
+              <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"></path>
+            </svg>
+            ${this.escapeHtml(this.i18n.t("refresh"))}
+          </button>`;
+  }
+
+  renderSearch() {
+    if (!this.options.search) return "";
+
+    const searchId = `securent-fb-search-${this.urlKey}`;
+
+    return `<div class="securent-fb-search" role="search">
+          <label for="${searchId}">${this.escapeHtml(
+            this.i18n.t("searchLabel")
+          )}</label>
+          <input type="search" id="${searchId}" class="securent-fb-search-input" part="search-input" autocomplete="off">
+          <div class="securent-fb-search-status securent-fb-visually-hidden" aria-live="polite"></div>
+        </div>`;
+  }
+
+  renderPost(post) {
+    const parts = this.getPostParts(post);
+
+    const isCompact = this.options.cardSize === "compact";
+    const compactClass = isCompact ? " securent-fb-post-compact" : "";
+
+    // Custom layouts from a render callback or <template>. Their markup
+    // goes through the layout allowlist, so a callback that interpolates
+    // post fields unescaped can't inject script.
+    if (this.options.renderPost || this.postTemplate) {
+      const content = sanitizeLayout(
+        this.options.renderPost
+          ? this.options.renderPost(post, parts)
+          : this.renderPostTemplate(post, parts)
+      );
+
+      return `
+      <article class="securent-fb-post securent-fb-post-custom${compactClass}" part="post" id="${parts.anchorId}" data-post-id="${parts.postId}">
+        ${content}
+        ${parts.thread}
+      </article>
+    `;
+    }
+
+    return `
+      <article class="securent-fb-post${compactClass}" part="post" id="${parts.anchorId}" data-post-id="${parts.postId}">
+        ${parts.sources}
+        <time class="securent-fb-timestamp" part="timestamp" datetime="${parts.datetime}" title="${parts.absoluteTime}">
+          ${parts.relativeTime}
+        </time>
+        <div class="securent-fb-message" part="message">${parts.message}</div>
+        ${parts.attachments}
+        ${parts.thread}
+        ${this.renderPostActions()}
+      </article>
+    `;
+  }
+
+  renderPostActions() {
+    return `<div class="securent-fb-post-actions">
+          <button type="button" class="securent-fb-copy-link" part="copy-link">${this.escapeHtml(
+            this.i18n.t("copyLink")
+          )}</button>
+        </div>`;
+  }
+
+  /**
+   * Render a post, leaving it out if rendering throws (e.g. a custom
+   * renderPost callback that doesn't expect a field), so one post can't
+   * break the page
+   * @param {Object} post
+   * @returns {string} - HTML string, empty on failure
+   */
+  renderPostSafely(post) {
+    try {
+      return this.renderPost(post);
+    } catch (error) {
+      this.reportDiagnostics([
+        {
+          action: "render-failed",
+          postId: post.id || null,
+          field: null,
+          reason: error.message,
+        },
+      ]);
+      return "";
+    }
+  }
+
+  /**
+   * Build the escaped pieces of a post used by the default layout, custom
+   * templates and render callbacks. Every value is safe to insert as HTML.
+   * @param {Object} post - Post from the API
+   * @returns {Object}
+   */
+  getPostParts(post) {
+    const timestamp = new Date(post.created_time);
+    const firstLine = (post.message || "").split("\n")[0].trim();
+
+    return {
+      datetime: this.escapeAttribute(post.created_time || ""),
+      relativeTime: this.getRelativeTime(timestamp),
+      absoluteTime: this.formatAbsoluteTime(timestamp),
+      headline: this.highlightMatches(this.escapeHtml(firstLine)),
+      message: this.highlightMatches(this.renderMessage(post.message || "")),
+      attachments: post.attachments
+        ? this.renderAttachments(post.attachments.data, post.id)
+        : "",
+      permalink: this.escapeAttribute(this.getPermalink(post)),
+      sources: this.renderSourceBadges(post),
+      postId: this.escapeAttribute(String(post.id || "")),
+      anchorId: this.escapeAttribute(this.getPostAnchor(post)),
+      thread: this.renderThread(post),
+    };
+  }
+
+  /**
+   * Earlier posts in an update thread (see threads.js), collapsed under the
+   * newest. A native <details> needs no script, so it also works in
+   * server-rendered markup.
+   * @param {Object} post - Post with optional `thread`
+   * @returns {string} - HTML string
+   */
+  renderThread(post) {
+    if (!post.thread || post.thread.length === 0) return "";
+
+    const items = post.thread
+      .map((update) => {
+        const parts = this.getPostParts(update);
+        return `
+          <li class="securent-fb-thread-item" id="${parts.anchorId}" data-post-id="${parts.postId}">
+            <time class="securent-fb-timestamp" part="timestamp" datetime="${parts.datetime}" title="${parts.absoluteTime}">
+              ${parts.relativeTime}
+            </time>
+            <div class="securent-fb-message" part="message">${parts.message}</div>
+            ${parts.attachments}
+          </li>
+        `;
+      })
+      .join("");
+
+    return `
+        <details class="securent-fb-thread" part="thread">
+          <summary class="securent-fb-thread-summary">${this.escapeHtml(
+            this.i18n.t("earlierUpdates", { count: post.thread.length })
+          )}</summary>
+          <ol class="securent-fb-thread-list">${items}</ol>
+        </details>
+      `;
+  }
+
+  /**
+   * Stable element id for a post, used as the #fragment of shared links
+   * @param {Object} post
+   * @returns {string} - e.g. "fb1-post-206409062742375_1270658055095024"
+   */
+  getPostAnchor(post) {
+    const id = String(post.id || "").replace(/[^\w-]/g, "-");
+    return `${this.urlKey}-post-${id}`;
+  }
+
+  /**
+   * Link to the post on Facebook
+   * @param {Object} post - Post with `permalink_url` or a `{page}_{post}` id
+   * @returns {string}
+   */
+  getPermalink(post) {
+    if (post.permalink_url) {
+      return safeUrl(post.permalink_url) || this.options.fallbackUrl;
+    }
+
+    const [pageId, postId] = String(post.id || "").split("_");
+    return postId
+      ? `https://www.facebook.com/${pageId}/posts/${postId}`
+      : this.options.fallbackUrl;
+  }
+
+  /**
+   * Render a post message, using a structured alert card for messages that
+   * follow the emergency service template and plain formatting otherwise
+   */
+  renderMessage(message) {
+    const alert = parseAlertMessage(message);
+
+    if (alert) {
+      return renderAlertCard(
+        alert,
+        (text) => this.formatMessage(text),
+        this.i18n
+      );
+    }
+
+    return this.formatMessage(message);
+  }
+
+  /**
+   * Escape a plain-text message, linking http(s) and www. URLs and
+   * converting newlines to <br>
+   */
+  formatMessage(message) {
+    // Split URLs out first so every part is escaped exactly once; odd
+    // indexes are the captured URLs
+    const urlRegex = /(https?:\/\/[^\s<]+|(?:^|\b)www\.[^\s<]+)/g;
+
+    const formatted = message
+      .split(urlRegex)
+      .map((part, index) => {
+        if (index % 2 === 0) return this.escapeAttribute(part);
+
+        const href = safeUrl(
+          part.startsWith("www.") ? `https://${part}` : part,
+          ["http:", "https:"]
+        );
+
+        return href
+          ? `<a href="${this.escapeAttribute(
+              href
+            )}" target="_blank" rel="noopener noreferrer" class="securent-fb-link">${this.escapeAttribute(
+              part
+            )}</a>`
+          : this.escapeAttribute(part);
+      })
+      .join("");
+
+    // Convert newlines to <br> tags
+    return formatted.replace(/\n/g, "<br>");
+  }
+
+  /**
+   * Render a post's attachments. One that fails to render is left out and
+   * reported; the rest of the post still shows.
+   * @param {Array<Object>} attachments
+   * @param {string} postId - For diagnostics
+   * @returns {string} - HTML string
+   */
+  renderAttachments(attachments, postId = null) {
+    if (!attachments || attachments.length === 0) return "";
+
+    const links = attachments
+      .map((att) => {
+        try {
+          return this.renderAttachment(att);
+        } catch (error) {
+          this.reportDiagnostics([
+            {
+              action: "render-failed",
+              postId,
+              field: "attachments",
+              reason: error.message,
+            },
+          ]);
+          return "";
+        }
+      })
+      .filter((link) => link)
+      .join("");
+
+    return links ? `<div class="securent-fb-attachments">${links}</div>` : "";
+  }
+
+  /**
+   * Render a single Graph API attachment by type
+   */
+  renderAttachment(att) {
+    switch (att.type) {
+      case "photo":
+        return this.renderPhoto(att);
+      case "album":
+        return this.renderAlbum(att);
+      case "video_inline":
+        return this.renderVideo(att);
+    }
+
+    if (att.subattachments && att.subattachments.data) {
+      return this.renderAlbum(att);
+    }
+
+    if (att.unshimmed_url && att.title) {
+      return this.renderShareLink(att);
+    }
+
+    return "";
+  }
+
+  renderShareLink(att) {
+    const href = safeUrl(att.unshimmed_url);
+    if (!href) return "";
+
+    return `
+          <a href="${this.escapeAttribute(href)}" 
+             class="securent-fb-attachment" 
+             target="_blank" 
+             rel="noopener noreferrer">
+            ${this.escapeHtml(att.title)}
+            <svg class="securent-fb-icon-external" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"></path>
+              <polyline points="15 3 21 3 21 9"></polyline>
+              <line x1="10" y1="14" x2="21" y2="3"></line>
+            </svg>
+          </a>
+        `;
+  }
+
+  renderPhoto(att) {
+    const image = this.renderLightboxImage(att, 0);
+    return image
+      ? `<div class="securent-fb-media securent-fb-media-photo">${image}</div>`
+      : "";
+  }
+
+  /**
+   * Render an album as a grid; photos past the preview count stay in the
+   * lightbox sequence but are hidden from the grid
+   */
+  renderAlbum(att) {
+    const items = (att.subattachments && att.subattachments.data) || [];
+    const images = items
+      .map((item, index) => this.renderLightboxImage(item, index))
+      .filter((image) => image);
+
+    if (images.length === 0) return "";
+
+    const remaining = images.length - ALBUM_PREVIEW_COUNT;
+    const grid = images
+      .map((image, index) => {
+        if (index >= ALBUM_PREVIEW_COUNT) {
+          return `<div class="securent-fb-album-item" hidden>${image}</div>`;
+        }
+        const more =
+          index === ALBUM_PREVIEW_COUNT - 1 && remaining > 0
+            ? `<span class="securent-fb-album-more" aria-hidden="true">+${remaining}</span>`
+            : "";
+        return `<div class="securent-fb-album-item">${image}${more}</div>`;
+      })
+      .join("");
+
+    const title = att.title
+      ? `<p class="securent-fb-album-title">${this.escapeHtml(att.title)}</p>`
+      : "";
+
+    return `
+      <div class="securent-fb-media securent-fb-media-album">
+        ${title}
+        <div class="securent-fb-album-grid">${grid}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render a video as a poster image linking to Facebook (no autoplay)
+   */
+  renderVideo(att) {
+    const image = att.media && att.media.image;
+    const url = safeUrl(
+      att.url || (att.target && att.target.url) || att.unshimmed_url
+    );
+
+    if (!url) return "";
+
+    const label = att.title || att.description || "";
+    const posterSrc = image && safeUrl(image.src, IMAGE_SCHEMES);
+    const poster = posterSrc
+      ? `<img class="securent-fb-video-poster" src="${this.escapeAttribute(
+          posterSrc
+        )}" alt=""${this.renderImageSize(
+          image
+        )} loading="lazy" decoding="async">`
+      : "";
+
+    return `
+      <a href="${this.escapeAttribute(url)}"
+         class="securent-fb-media securent-fb-media-video"
+         target="_blank"
+         rel="noopener noreferrer">
+        ${poster}
+        <span class="securent-fb-video-play" aria-hidden="true">
+          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor"><polygon points="6 4 20 12 6 20 6 4"></polygon></svg>
+        </span>
+        <span class="securent-fb-video-label">${this.escapeHtml(
+          this.i18n.t("watchVideo")
+        )}${
+          label
+            ? `<span class="securent-fb-visually-hidden">: ${this.escapeHtml(
+                label
+              )}</span>`
+            : ""
+        }</span>
+      </a>
+    `;
+  }
+
+  /**
+   * Render a lazy-loaded image button that opens the lightbox
+   * @param {Object} att - Attachment with `media.image`
+   * @param {number} index - Position within its photo group
+   */
+  renderLightboxImage(att, index) {
+    const image = att.media && att.media.image;
+    const src = image && safeUrl(image.src, IMAGE_SCHEMES);
+    if (!src) return "";
+
+    const alt = att.description || att.title || this.i18n.t("photo");
+
+    return `<button type="button" class="securent-fb-lightbox-trigger" data-lightbox-index="${index}" aria-haspopup="dialog"><img class="securent-fb-photo" src="${this.escapeAttribute(
+      src
+    )}" alt="${this.escapeAttribute(alt)}"${this.renderImageSize(
+      image
+    )} loading="lazy" decoding="async"></button>`;
+  }
+
+  /**
+   * Width/height attributes so the layout doesn't shift as images load
+   */
+  renderImageSize(image) {
+    const width = parseInt(image.width);
+    const height = parseInt(image.height);
+
+    return width > 0 && height > 0
+      ? ` width="${width}" height="${height}"`
+      : "";
+  }
+
+  renderPagination(totalPages) {
+    const hasMore = !!this.nextPageUrl;
+    const prevDisabled = this.currentPage === 1;
+    const nextDisabled = this.currentPage === totalPages && !hasMore;
+
+    // Generate page number buttons (show up to 5 pages)
+    let pageButtons = "";
+    const maxVisiblePages = 5;
+    let startPage = Math.max(
+      1,
+      this.currentPage - Math.floor(maxVisiblePages / 2)
+    );
+    let endPage = Math.min(totalPages, startPage + maxVisiblePages - 1);
+
+    // Adjust startPage if we're near the end
+    if (endPage - startPage < maxVisiblePages - 1) {
+      startPage = Math.max(1, endPage - maxVisiblePages + 1);
+    }
+
+    for (let i = startPage; i <= endPage; i++) {
+      const isActive = i === this.currentPage;
+      pageButtons += `<li class="page-item ${
+        isActive ? "active" : ""
+      }"><button type="button" class="page-link" part="page-button${
+        isActive ? " current-page" : ""
+      }" data-page="${i}" aria-label="${this.escapeAttribute(
+        this.i18n.t("pageLabel", { page: i })
+      )}"${isActive ? ' aria-current="page"' : ""}>${i}</button></li>`;
+    }
+
+    // Indicate that further posts exist beyond the pages held locally
+    if (hasMore && endPage === totalPages) {
+      pageButtons += `<li class="page-item disabled"><span class="page-link" aria-hidden="true">&hellip;</span><span class="securent-fb-visually-hidden">${this.escapeHtml(
+        this.i18n.t("morePages")
+      )}</span></li>`;
+    }
+
+    return `
+      <nav aria-label="${this.escapeAttribute(
+        this.i18n.t("paginationLabel")
+      )}" class="pb-5 mb-15" part="pagination">
+        <ul class="pagination justify-content-center">
+          <li class="page-item ${prevDisabled ? "disabled" : ""}">
+            <button type="button" class="page-link securent-fb-btn-prev" part="page-button"${
+              prevDisabled ? " disabled" : ""
+            }>${this.escapeHtml(this.i18n.t("previous"))}</button>
+          </li>
+          ${pageButtons}
+          <li class="page-item ${nextDisabled ? "disabled" : ""}">
+            <button type="button" class="page-link securent-fb-btn-next" part="page-button"${
+              nextDisabled ? " disabled" : ""
+            }>${this.escapeHtml(this.i18n.t("next"))}</button>
+          </li>
+        </ul>
+      </nav>
+    `;
+  }
+
+  getRelativeTime(date) {
+    return this.i18n.formatRelativeTime(date);
+  }
+
+  formatAbsoluteTime(date) {
+    return this.i18n.formatDateTime(date);
+  }
+
+  /**
+   * Report diagnostics from validateFeed() or rendering, once each
+   * @param {Array<Object>} diagnostics - `{ action, postId, field, reason }`
+   */
+  reportDiagnostics(diagnostics = []) {
+    diagnostics.forEach((diagnostic) => {
+      const key = [
+        diagnostic.source,
+        diagnostic.action,
+        diagnostic.postId,
+        diagnostic.field,
+        diagnostic.reason,
+      ].join("|");
+      if (this.reportedDiagnostics.has(key)) return;
+
+      this.reportedDiagnostics.add(key);
+      this.handleDiagnostic(diagnostic);
+    });
+  }
+
+  /**
+   * @param {Object} diagnostic
+   */
+  handleDiagnostic(diagnostic) {
+    const subject = diagnostic.postId ? `Post ${diagnostic.postId}` : "Feed";
+    console.warn(`${subject} ${diagnostic.action}: ${diagnostic.reason}`);
+  }
+
+  /**
+   * Escape text for HTML content. String-based, so it also works without a
+   * DOM (e.g. in Node).
+   */
+  escapeHtml(text) {
+    return escapeHtml(text);
+  }
+
+  /**
+   * Parse message overrides given as an object or a JSON string
+   * (e.g. from data-messages)
+   * @param {Object|string} messages
+   * @returns {Object}
+   */
+  parseMessages(messages) {
+    if (!messages) return {};
+    if (typeof messages === "object") return messages;
+
+    try {
+      return JSON.parse(messages);
+    } catch (error) {
+      console.warn("Invalid messages JSON, using default strings:", error);
+      return {};
+    }
+  }
+
+  /**
+   * Escape text for use inside a double- or single-quoted attribute
+   */
+  escapeAttribute(text) {
+    return this.escapeHtml(text).replace(/"/g, "&quot;").replace(/'/g, "&#039;");
+  }
+}
@@ -0,0 +1,321 @@
+/**
+ * Sanitiser Module
+ * Allowlist HTML sanitisers for author-supplied content and custom post
+ * layouts, URL scheme validation for generated links, and an optional
+ * Trusted Types policy
+ */
+
+const POLICY_NAME = "securent-fb-widget";
+
+const SAFE_SCHEMES = ["http:", "https:", "mailto:"];
+export const IMAGE_SCHEMES = ["http:", "https:"];
+
+// Formatting a WYSIWYG editor produces; anything else is unwrapped
+const ALLOWED_TAGS = new Set([
+  "A",
+  "ABBR",
+  "B",
+  "BLOCKQUOTE",
+  "BR",
+  "CODE",
+  "DIV",
+  "EM",
+  "H3",
+  "H4",
+  "H5",
+  "H6",
+  "HR",
+  "I",
+  "LI",
+  "OL",
+  "P",
+  "SMALL",
+  "SPAN",
+  "STRONG",
+  "SUB",
+  "SUP",
+  "U",
+  "UL",
+]);
+
+// Removed along with everything inside them
+const DROPPED_TAGS = new Set([
+  "SCRIPT",
+  "STYLE",
+  "TEMPLATE",
+  "NOSCRIPT",
+  "IFRAME",
+  "FRAME",
+  "OBJECT",
+  "EMBED",
+  "SVG",
+  "MATH",
+  "FORM",
+  "TEXTAREA",
+  "SELECT",
+]);
+
+const GLOBAL_ATTRIBUTES = ["class", "title", "lang", "dir"];
+const TAG_ATTRIBUTES = {
+  A: ["href", "target", "rel"],
+};
+
+// Custom post layouts (renderPost callbacks and <template>s) may also use
+// the markup the widget generates for posts: images, buttons, <time>,
+// <details>, alert cards and its inline SVG icons
+const SVG_TAGS = [
+  "SVG",
+  "G",
+  "PATH",
+  "POLYLINE",
+  "POLYGON",
+  "LINE",
+  "CIRCLE",
+  "RECT",
+];
+const SVG_ATTRIBUTES = [
+  "fill",
+  "stroke",
+  "stroke-width",
+  "stroke-linecap",
+  "stroke-linejoin",
+];
+
+const LAYOUT_RULES = {
+  tags: new Set([
+    ...ALLOWED_TAGS,
+    ...SVG_TAGS,
+    "ARTICLE",
+    "ASIDE",
+    "BUTTON",
+    "DD",
+    "DETAILS",
+    "DL",
+    "DT",
+    "FIGCAPTION",
+    "FIGURE",
+    "FOOTER",
+    "H1",
+    "H2",
+    "HEADER",
+    "IMG",
+    "MARK",
+    "SECTION",
+    "SUMMARY",
+    "TIME",
+  ]),
+  dropped: new Set([...DROPPED_TAGS].filter((tag) => tag !== "SVG")),
+  globalAttributes: GLOBAL_ATTRIBUTES.concat(["id", "part", "role", "hidden"]),
+  attributePrefixes: ["data-", "aria-"],
+  tagAttributes: {
+    ...TAG_ATTRIBUTES,
+    BUTTON: ["type"],
+    IMG: ["src", "alt", "width", "height", "loading", "decoding"],
+    TIME: ["datetime"],
+    SPAN: ["style"],
+    SVG: ["xmlns", "viewbox", "width", "height", ...SVG_ATTRIBUTES],
+    G: SVG_ATTRIBUTES,
+    PATH: ["d", ...SVG_ATTRIBUTES],
+    POLYLINE: ["points", ...SVG_ATTRIBUTES],
+    POLYGON: ["points", ...SVG_ATTRIBUTES],
+    LINE: ["x1", "y1", "x2", "y2", ...SVG_ATTRIBUTES],
+    CIRCLE: ["cx", "cy", "r", ...SVG_ATTRIBUTES],
+    RECT: ["x", "y", "width", "height", "rx", "ry", ...SVG_ATTRIBUTES],
+  },
+};
+
+const CONTENT_RULES = {
+  tags: ALLOWED_TAGS,
+  dropped: DROPPED_TAGS,
+  globalAttributes: GLOBAL_ATTRIBUTES,
+  attributePrefixes: [],
+  tagAttributes: TAG_ATTRIBUTES,
+};
+
+// The only inline style kept: a source badge's colour, e.g.
+// `--securent-fb-source-colour: #1877f2`. No url() or CSS escapes.
+const STYLE_REGEX = /^\s*--securent-fb-[\w-]+\s*:(?![^;]*url\()[^;:\\]*;?\s*$/i;
+
+let policy = null;
+
+/**
+ * Create the Trusted Types policy the widget uses for every HTML sink.
+ * Pages enforcing `require-trusted-types-for 'script'` must allow it with
+ * `trusted-types securent-fb-widget`.
+ * @returns {boolean} - Whether a policy is active
+ */
+export function enableTrustedTypes() {
+  if (policy) return true;
+
+  if (!window.trustedTypes) {
+    console.warn("Trusted Types are not supported in this browser");
+    return false;
+  }
+
+  try {
+    // Markup reaching the policy is built by the widget from escaped values
+    // and sanitizeHtml()/sanitizeLayout() output (custom post layouts), so
+    // it is passed through unchanged
+    policy = window.trustedTypes.createPolicy(POLICY_NAME, {
+      createHTML: (html) => html,
+    });
+  } catch (error) {
+    console.warn(`Could not create Trusted Types policy "${POLICY_NAME}":`, error);
+  }
+
+  return !!policy;
+}
+
+/**
+ * Wrap widget-generated markup for an HTML sink (innerHTML and friends)
+ * @param {string} html
+ * @returns {TrustedHTML|string} - TrustedHTML when the policy is active
+ */
+export function trustedHtml(html) {
+  return policy ? policy.createHTML(html) : html;
+}
+
+/**
+ * Validate a URL against a scheme allowlist. Relative URLs resolve against
+ * the page, and are rejected when there is no page (e.g. in Node).
+ * @param {string} url
+ * @param {Array<string>} schemes - Allowed protocols, e.g. ["https:"]
+ * @returns {string|null} - Absolute URL, or null if unsafe or invalid
+ */
+export function safeUrl(url, schemes = SAFE_SCHEMES) {
+  if (!url) return null;
+
+  try {
+    const base = typeof document !== "undefined" ? document.baseURI : undefined;
+    const parsed = new URL(String(url).trim(), base);
+    return schemes.includes(parsed.protocol) ? parsed.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Escape text for HTML content. String-based, so it also works without a
+ * DOM (e.g. in Node).
+ * @param {*} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\u00a0/g, "&nbsp;");
+}
+
+/**
+ * Sanitise author-supplied HTML (e.g. data-content) against an allowlist of
+ * tags, attributes and link schemes. Parsed in an inert document, so
+ * nothing in the input runs or loads.
+ * @param {string} html
+ * @returns {string} - Safe HTML
+ */
+export function sanitizeHtml(html) {
+  return sanitizeWith(html, CONTENT_RULES);
+}
+
+/**
+ * Sanitise the markup of a custom post layout (a renderPost callback or
+ * <template>). Allows what sanitizeHtml() does plus the widget's own post
+ * markup: images, buttons, <time>, <details>, inline SVG icons, and `id`,
+ * `part`, `role`, `data-*` and `aria-*` attributes.
+ * @param {string} html
+ * @returns {string} - Safe HTML
+ */
+export function sanitizeLayout(html) {
+  return sanitizeWith(html, LAYOUT_RULES);
+}
+
+/**
+ * @param {string} html
+ * @param {Object} rules - CONTENT_RULES or LAYOUT_RULES
+ * @returns {string} - Safe HTML
+ */
+function sanitizeWith(html, rules) {
+  if (!html) return "";
+
+  const doc = document.implementation.createHTMLDocument("");
+  doc.body.innerHTML = trustedHtml(String(html));
+  sanitizeChildren(doc.body, rules);
+
+  return doc.body.innerHTML;
+}
+
+/**
+ * Sanitise the children of a node in place
+ * @param {Node} parent
+ * @param {Object} rules
+ */
+function sanitizeChildren(parent, rules) {
+  Array.from(parent.childNodes).forEach((node) => {
+    if (node.nodeType === Node.TEXT_NODE) return;
+
+    // Comments, processing instructions, etc.
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      node.remove();
+      return;
+    }
+
+    const tag = node.tagName.toUpperCase();
+
+    if (rules.dropped.has(tag)) {
+      node.remove();
+      return;
+    }
+
+    sanitizeChildren(node, rules);
+
+    if (!rules.tags.has(tag)) {
+      // Keep the (already sanitised) text of unknown elements
+      node.replaceWith(...node.childNodes);
+      return;
+    }
+
+    sanitizeAttributes(node, tag, rules);
+  });
+}
+
+/**
+ * Remove attributes that aren't allowlisted, links and images with unsafe
+ * schemes, and inline styles other than a source colour
+ * @param {Element} element
+ * @param {string} tag - Upper-case tag name
+ * @param {Object} rules
+ */
+function sanitizeAttributes(element, tag, rules) {
+  const allowed = rules.globalAttributes.concat(rules.tagAttributes[tag] || []);
+
+  Array.from(element.attributes).forEach((attribute) => {
+    const name = attribute.name.toLowerCase();
+
+    if (
+      !allowed.includes(name) &&
+      !rules.attributePrefixes.some((prefix) => name.startsWith(prefix))
+    ) {
+      element.removeAttribute(attribute.name);
+    } else if (name === "href" || name === "src") {
+      const url = safeUrl(
+        attribute.value,
+        name === "src" ? IMAGE_SCHEMES : SAFE_SCHEMES
+      );
+      if (url) {
+        element.setAttribute(attribute.name, url);
+      } else {
+        element.removeAttribute(attribute.name);
+      }
+    } else if (name === "style" && !STYLE_REGEX.test(attribute.value)) {
+      element.removeAttribute(attribute.name);
+    }
+  });
+
+  // New tabs can't reach back into the page
+  if (tag === "A" && element.getAttribute("target")) {
+    element.setAttribute("target", "_blank");
+    element.setAttribute("rel", "noopener noreferrer");
+  }
+}
@@ -0,0 +1,357 @@
+/**
+ * Source Adapter Module
+ * Maps responses from different feed formats (Graph API, JSON Feed,
+ * RSS and Atom) into the internal post shape used by the widget:
+ * `{ id, created_time, message, permalink_url, attachments: { data } }`
+ */
+
+import { trustedHtml } from "./sanitize.js";
+import { isObject } from "./validate.js";
+
+const ATOM_NS = "http://www.w3.org/2005/Atom";
+const MEDIA_NS = "http://search.yahoo.com/mrss/";
+
+// Checked in order when the format isn't configured
+const adapters = {
+  graph: {
+    detect: (body) =>
+      Array.isArray(body) || (isObject(body) && Array.isArray(body.data)),
+    normalize: normalizeGraph,
+  },
+  "json-feed": {
+    detect: (body) =>
+      isObject(body) &&
+      Array.isArray(body.items) &&
+      String(body.version || "").includes("jsonfeed.org"),
+    normalize: normalizeJsonFeed,
+  },
+  rss: {
+    detect: (body) => typeof body === "string" && /<rss[\s>]/i.test(body),
+    normalize: normalizeRss,
+  },
+  atom: {
+    detect: (body) =>
+      typeof body === "string" && /<feed[\s>]/i.test(body),
+    normalize: normalizeAtom,
+  },
+};
+
+/**
+ * Add or replace a named source adapter
+ * @param {string} name - Value for `data-source-format`, e.g. "cms"
+ * @param {Object} adapter - `{ detect(body), normalize(body) }`; `normalize`
+ *   returns `{ data, paging }` with posts in the internal shape, and `detect`
+ *   is optional (adapters without it are only used when named)
+ */
+export function registerSourceAdapter(name, adapter) {
+  if (!adapter || typeof adapter.normalize !== "function") {
+    throw new Error(`Source adapter "${name}" needs a normalize() function`);
+  }
+  adapters[name] = adapter;
+}
+
+/**
+ * Work out the format of a response body
+ * @param {Array|Object|string} body - Parsed JSON, or XML text
+ * @returns {string|null} - Adapter name, or null if nothing matches
+ */
+export function detectSourceFormat(body) {
+  const name = Object.keys(adapters).find(
+    (key) => adapters[key].detect && adapters[key].detect(body)
+  );
+
+  return name || null;
+}
+
+/**
+ * Normalise a response body into posts and paging information
+ * @param {Array|Object|string} body - Parsed JSON, or XML text
+ * @param {string} format - Adapter name, or "auto"/empty to detect
+ * @returns {Object} - `{ data, paging }`, where paging is null when absent
+ * @throws {Error} - If the format is unknown or can't be detected
+ */
+export function normalizeFeed(body, format = "auto") {
+  let name = format && format !== "auto" ? format : null;
+
+  if (name && !adapters[name]) {
+    console.warn(`Unknown source format "${name}", detecting from response`);
+    name = null;
+  }
+
+  if (!name) name = detectSourceFormat(body);
+
+  if (!name) {
+    throw new Error("Unrecognised feed format");
+  }
+
+  const result = adapters[name].normalize(body);
+
+  return {
+    data: result.data || [],
+    paging: result.paging || null,
+  };
+}
+
+/**
+ * Graph API: a bare array of posts, or an envelope of the form
+ * `{ data: [...], paging: { cursors: { before, after }, next } }`
+ */
+function normalizeGraph(body) {
+  if (Array.isArray(body)) {
+    return { data: body, paging: null };
+  }
+
+  return {
+    data: body.data,
+    paging: body.paging || null,
+  };
+}
+
+/**
+ * JSON Feed 1.0/1.1 (https://jsonfeed.org/version/1.1)
+ */
+function normalizeJsonFeed(body) {
+  const data = body.items.map((item) => {
+    const attachments = [];
+
+    if (item.image || item.banner_image) {
+      attachments.push(photoAttachment(item.image || item.banner_image));
+    }
+    (item.attachments || []).forEach((attachment) => {
+      if (String(attachment.mime_type || "").startsWith("image/")) {
+        attachments.push(photoAttachment(attachment.url, attachment.title));
+      }
+    });
+    if (item.external_url) {
+      attachments.push(shareAttachment(item.external_url, item.title));
+    }
+
+    return createPost({
+      id: item.id || item.url,
+      date: item.date_published || item.date_modified,
+      title: item.title,
+      text:
+        item.content_text ||
+        htmlToText(item.content_html || item.summary || ""),
+      link: item.url,
+      attachments,
+    });
+  });
+
+  return { data, paging: null };
+}
+
+/**
+ * RSS 2.0, including Media RSS images and image enclosures
+ */
+function normalizeRss(text) {
+  const doc = parseXml(text);
+
+  const data = Array.from(doc.getElementsByTagName("item")).map((item) => {
+    const attachments = [];
+
+    const enclosure = item.getElementsByTagName("enclosure")[0];
+    if (
+      enclosure &&
+      String(enclosure.getAttribute("type") || "").startsWith("image/")
+    ) {
+      attachments.push(photoAttachment(enclosure.getAttribute("url")));
+    }
+
+    const media = item.getElementsByTagNameNS(MEDIA_NS, "content")[0];
+    if (media && media.getAttribute("medium") === "image") {
+      attachments.push(photoAttachment(media.getAttribute("url")));
+    }
+
+    return createPost({
+      id: childText(item, "guid") || childText(item, "link"),
+      date: childText(item, "pubDate"),
+      title: childText(item, "title"),
+      text: htmlToText(childText(item, "description")),
+      link: childText(item, "link"),
+      attachments,
+    });
+  });
+
+  return { data, paging: null };
+}
+
+/**
+ * Atom 1.0
+ */
+function normalizeAtom(text) {
+  const doc = parseXml(text);
+
+  const data = Array.from(doc.getElementsByTagNameNS(ATOM_NS, "entry")).map(
+    (entry) => {
+      const links = Array.from(entry.getElementsByTagNameNS(ATOM_NS, "link"));
+      const alternate =
+        links.find((link) =>
+          ["alternate", null].includes(link.getAttribute("rel"))
+        ) || links[0];
+
+      const attachments = links
+        .filter(
+          (link) =>
+            link.getAttribute("rel") === "enclosure" &&
+            String(link.getAttribute("type") || "").startsWith("image/")
+        )
+        .map((link) => photoAttachment(link.getAttribute("href")));
+
+      const content = entry.getElementsByTagNameNS(ATOM_NS, "content")[0];
+      const summary = entry.getElementsByTagNameNS(ATOM_NS, "summary")[0];
+      const body = content || summary;
+
+      return createPost({
+        id: childText(entry, "id", ATOM_NS),
+        date:
+          childText(entry, "published", ATOM_NS) ||
+          childText(entry, "updated", ATOM_NS),
+        title: childText(entry, "title", ATOM_NS),
+        text: body
+          ? body.getAttribute("type") === "text"
+            ? body.textContent
+            : htmlToText(body.textContent)
+          : "",
+        link: alternate ? alternate.getAttribute("href") : null,
+        attachments,
+      });
+    }
+  );
+
+  return { data, paging: null };
+}
+
+/**
+ * Build a post in the internal shape
+ * @param {Object} fields - `{ id, date, title, text, link, attachments }`
+ * @returns {Object}
+ */
+function createPost({ id, date, title, text, link, attachments }) {
+  const heading = (title || "").trim();
+  const bodyText = (text || "").trim();
+
+  // Title becomes the first line, unless the body already starts with it
+  const message =
+    heading && !bodyText.startsWith(heading)
+      ? [heading, bodyText].filter((part) => part).join("\n\n")
+      : bodyText || heading;
+
+  const timestamp = new Date(date);
+  const post = {
+    id: String(id || link || ""),
+    created_time: isNaN(timestamp.getTime()) ? "" : timestamp.toISOString(),
+    message,
+  };
+
+  if (link) post.permalink_url = link;
+  if (attachments.length > 0) post.attachments = { data: attachments };
+
+  return post;
+}
+
+function photoAttachment(src, description) {
+  const attachment = { type: "photo", media: { image: { src } } };
+  if (description) attachment.description = description;
+  return attachment;
+}
+
+function shareAttachment(url, title) {
+  return {
+    type: "share",
+    title: title || url,
+    unshimmed_url: url,
+  };
+}
+
+/**
+ * Parse XML text, failing loudly on malformed feeds
+ * @param {string} text
+ * @returns {Document}
+ */
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(
+    trustedHtml(text),
+    "application/xml"
+  );
+  if (doc.getElementsByTagName("parsererror").length > 0) {
+    throw new Error("Invalid XML feed");
+  }
+  return doc;
+}
+
+/**
+ * Text of the first direct child element with a given name
+ * @param {Element} parent
+ * @param {string} name - Local name
+ * @param {string} namespace - Namespace URI (omit for no namespace)
+ * @returns {string}
+ */
+function childText(parent, name, namespace = null) {
+  const child = Array.from(parent.children).find(
+    (element) =>
+      element.localName === name &&
+      (namespace === null || element.namespaceURI === namespace)
+  );
+
+  return child ? child.textContent.trim() : "";
+}
+
+// Entities decoded when there is no DOM to parse HTML with
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: "\u00a0",
+};
+
+/**
+ * Convert an HTML fragment to plain text, keeping paragraph breaks.
+ * Parsed as an inert document, so nothing in it runs or loads. Without a
+ * DOM (static rendering in Node) tags are stripped instead; the result is
+ * escaped like any other message, so this only affects how it reads.
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+  if (!html) return "";
+
+  const marked = html
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|li|h\d)>/gi, "$&\n\n");
+
+  const text =
+    typeof DOMParser === "undefined"
+      ? decodeEntities(
+          marked
+            .replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, "")
+            .replace(/<!--[\s\S]*?-->/g, "")
+            .replace(/<[^>]*>/g, "")
+        )
+      : new DOMParser().parseFromString(trustedHtml(marked), "text/html").body
+          .textContent;
+
+  return text.replace(/\n{3,}/g, "\n\n").trim();
+}
+
+/**
+ * Decode character references in a single pass, so "&amp;lt;" stays "&lt;"
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === "#") {
+      const code =
+        name[1] === "x" || name[1] === "X"
+          ? parseInt(name.slice(2), 16)
+          : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+
+    const named = NAMED_ENTITIES[name.toLowerCase()];
+    return named === undefined ? entity : named;
+  });
+}
@@ -0,0 +1,164 @@
+/**
+ * Static Renderer Module
+ * Node entry point: renders a feed response to widget HTML that a CMS can
+ * bake into the page. Posts show without JavaScript and are visible to
+ * search engines, and the browser widget hydrates the markup instead of
+ * replacing it with a skeleton.
+ */
+
+import {
+  FeedRenderer,
+  STATIC_CLASS,
+  STATIC_DATA_CLASS,
+} from "./renderer.js";
+import { safeUrl, IMAGE_SCHEMES } from "./sanitize.js";
+import { normalizeFeed } from "./sources.js";
+import { validateFeed } from "./validate.js";
+import { OPTION_ATTRIBUTES } from "./config.js";
+
+const DEFAULT_ID = "securent-fb-feed";
+
+class StaticFeedRenderer extends FeedRenderer {
+  /**
+   * Baked HTML can be served for days, so "2 hours ago" would soon be
+   * wrong. Absolute times are used until the widget hydrates.
+   */
+  getRelativeTime(date) {
+    return this.formatAbsoluteTime(date);
+  }
+
+  // Controls do nothing without JavaScript, so they are left out until the
+  // widget hydrates and re-renders. Readers without it get the "See more
+  // on Facebook" link instead of pagination.
+
+  renderRefreshButton() {
+    return "";
+  }
+
+  renderSearch() {
+    return "";
+  }
+
+  renderPostActions() {
+    return "";
+  }
+
+  renderPagination() {
+    return "";
+  }
+
+  renderMoreControls() {
+    return "";
+  }
+
+  /**
+   * Photos link to the full image rather than opening the lightbox
+   */
+  renderLightboxImage(att) {
+    const image = att.media && att.media.image;
+    const src = image && safeUrl(image.src, IMAGE_SCHEMES);
+    if (!src) return "";
+
+    const alt = att.description || att.title || this.i18n.t("photo");
+
+    return `<a class="securent-fb-lightbox-trigger" href="${this.escapeAttribute(
+      src
+    )}" target="_blank" rel="noopener noreferrer"><img class="securent-fb-photo" src="${this.escapeAttribute(
+      src
+    )}" alt="${this.escapeAttribute(alt)}"${this.renderImageSize(
+      image
+    )} loading="lazy" decoding="async"></a>`;
+  }
+}
+
+/**
+ * Render a feed as a complete, hydratable widget element
+ * @param {Array|Object} body - Parsed feed response (Graph API or JSON Feed;
+ *   RSS and Atom need a DOM to parse)
+ * @param {Object} options - Widget options, as for FacebookFeedWidget. `id`
+ *   sets the element id, which keeps post anchors stable (default
+ *   "securent-fb-feed"; give each widget on a page its own)
+ * @param {Date} timestamp - When the feed was fetched (default: now)
+ * @returns {string} - HTML for a `<div data-securent-fb-widget>` element
+ */
+export function renderStaticWidget(body, options = {}, timestamp = new Date()) {
+  const id = options.id || DEFAULT_ID;
+  const renderer = new StaticFeedRenderer({ ...options, id });
+  const feed = validateFeed(normalizeFeed(body, options.sourceFormat));
+
+  // Dropped and repaired posts are logged (on stderr for the CLI)
+  renderer.reportDiagnostics(feed.diagnostics);
+  renderer.setPosts(feed.data);
+  renderer.nextPageUrl = feed.paging && feed.paging.next ? feed.paging.next : null;
+  renderer.lastUpdated = timestamp;
+
+  const classes = [
+    "securent-fb-widget",
+    `securent-fb-theme-${renderer.options.theme}`,
+    STATIC_CLASS,
+  ];
+  const lang = renderer.options.locale
+    ? ` lang="${renderer.escapeAttribute(renderer.options.locale)}"`
+    : "";
+
+  return `<div id="${renderer.escapeAttribute(id)}" class="${classes.join(
+    " "
+  )}" data-securent-fb-widget${renderDataAttributes(
+    options,
+    renderer
+  )}${lang}>
+${renderer.renderFeed()}
+<noscript><p class="securent-fb-static-more"><a href="${renderer.escapeAttribute(
+    renderer.options.fallbackUrl
+  )}" target="_blank" rel="noopener noreferrer">${renderer.escapeHtml(
+    renderer.i18n.t("fallbackLink")
+  )}</a></p></noscript>
+<script type="application/json" class="${STATIC_DATA_CLASS}">${serializeFeed(
+    feed,
+    timestamp
+  )}</script>
+</div>`;
+}
+
+/**
+ * Write options back out as the data attributes the widget reads, so the
+ * hydrated widget is configured the same way
+ * @param {Object} options
+ * @param {FeedRenderer} renderer - For attribute escaping
+ * @returns {string}
+ */
+function renderDataAttributes(options, renderer) {
+  return Object.keys(OPTION_ATTRIBUTES)
+    .filter(
+      (key) =>
+        options[key] !== undefined &&
+        options[key] !== null &&
+        options[key] !== "" &&
+        typeof options[key] !== "function"
+    )
+    .map((key) => {
+      const value =
+        typeof options[key] === "object"
+          ? JSON.stringify(options[key])
+          : String(options[key]);
+      return ` data-${OPTION_ATTRIBUTES[key]}="${renderer.escapeAttribute(
+        value
+      )}"`;
+    })
+    .join("");
+}
+
+/**
+ * JSON for the embedded data script. `<` is escaped so post text can't
+ * close the script element.
+ * @param {Object} feed - `{ data, paging }`
+ * @param {Date} timestamp
+ * @returns {string}
+ */
+function serializeFeed(feed, timestamp) {
+  return JSON.stringify({
+    data: feed.data,
+    paging: feed.paging,
+    timestamp: timestamp.toISOString(),
+  }).replace(/</g, "\\u003c");
+}
@@ -0,0 +1,466 @@
+/**
+ * Cache Storage Module
+ * Storage backends for the feed cache. A backend keeps one entry per request
+ * URL, `{ version, timestamp, expires, feed }`, where feed is the normalised
+ * `{ data, paging }` and expires is a time in ms (null: never). Every method
+ * returns a Promise, so custom backends can wrap any async store.
+ *
+ * Backend interface:
+ * - read(url) -> entry or null
+ * - write(url, entry)
+ * - remove(url)
+ * - clear()
+ * - entries() -> `{ url, entry }` pairs (optional; lets a fallback's entries
+ *   be moved into IndexedDB)
+ * - prune(time, maxAge) -> remove entries expired by `time` (optional; called
+ *   after each write)
+ */
+
+const CACHE_PREFIX = "securent-fb-cache:";
+
+// Single-entry keys used before the cache was namespaced per request
+const LEGACY_CACHE_KEYS = ["securent-fb-cache", "securent-fb-cache-time"];
+
+const DB_NAME = "securent-fb-cache";
+const DB_VERSION = 1;
+const FEED_STORE = "feeds";
+const POST_STORE = "posts";
+
+/**
+ * Check whether a storage error means the quota is exhausted
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isQuotaError(error) {
+  return (
+    error instanceof DOMException &&
+    (error.name === "QuotaExceededError" ||
+      error.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+      error.code === 22)
+  );
+}
+
+/**
+ * Check whether an entry has expired
+ * @param {Object} entry - `{ timestamp, expires }`
+ * @param {number} time - Now, in ms
+ * @param {number} maxAge - Milliseconds; applies to entries saved without
+ *   `expires` by older versions of the widget
+ * @returns {boolean}
+ */
+function isExpired(entry, time, maxAge) {
+  const expires =
+    entry.expires === undefined ? entry.timestamp + maxAge : entry.expires;
+  return expires !== null && expires < time;
+}
+
+/**
+ * The original backend: each entry is one JSON string in localStorage.
+ * Synchronous and limited to a few MB per origin, so large feeds evict
+ * each other.
+ */
+export class LocalStorageBackend {
+  async read(url) {
+    const raw = localStorage.getItem(this.getKey(url));
+    if (!raw) return null;
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      // Corrupt entries are treated as missing
+      return null;
+    }
+  }
+
+  /**
+   * When storage is full, the oldest entries are evicted until the new
+   * entry fits or there is nothing left to evict
+   */
+  async write(url, entry) {
+    const key = this.getKey(url);
+    const value = JSON.stringify(entry);
+
+    this.removeLegacyEntries();
+
+    // Only evict entries that belong to other requests
+    const evictable = this.listEntries().filter((item) => item.key !== key);
+    let freed = 0;
+
+    for (;;) {
+      try {
+        localStorage.setItem(key, value);
+        return;
+      } catch (error) {
+        if (!isQuotaError(error) || evictable.length === 0) {
+          throw error;
+        }
+
+        const oldest = evictable.shift();
+        localStorage.removeItem(oldest.key);
+        freed += oldest.size;
+        console.warn(
+          `Cache full, evicted ${oldest.key} (${freed} characters freed so far)`
+        );
+      }
+    }
+  }
+
+  async remove(url) {
+    localStorage.removeItem(this.getKey(url));
+  }
+
+  async clear() {
+    this.removeLegacyEntries();
+    this.listEntries().forEach((item) => localStorage.removeItem(item.key));
+  }
+
+  async prune(time, maxAge) {
+    (await this.entries())
+      .filter(({ entry }) => isExpired(entry, time, maxAge))
+      .forEach(({ url }) => localStorage.removeItem(this.getKey(url)));
+  }
+
+  /**
+   * Every readable entry, so another backend can take them over
+   * @returns {Promise<Array<Object>>} - `{ url, entry }` pairs
+   */
+  async entries() {
+    const entries = await Promise.all(
+      this.listEntries().map(async ({ key }) => {
+        const url = key.slice(CACHE_PREFIX.length);
+        return { url, entry: await this.read(url) };
+      })
+    );
+
+    return entries.filter(({ entry }) => entry);
+  }
+
+  /**
+   * @param {string} url - Request URL the entry belongs to
+   * @returns {string} - localStorage key
+   */
+  getKey(url) {
+    return `${CACHE_PREFIX}${url}`;
+  }
+
+  /**
+   * List all widget cache entries with their timestamp and size
+   * @returns {Array<Object>} - Entries sorted oldest first
+   */
+  listEntries() {
+    const entries = [];
+
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (!key || !key.startsWith(CACHE_PREFIX)) continue;
+
+      const raw = localStorage.getItem(key) || "";
+      let time = 0;
+      try {
+        time = JSON.parse(raw).timestamp || 0;
+      } catch (error) {
+        // Unreadable entries are evicted first
+      }
+      entries.push({ key, size: key.length + raw.length, time });
+    }
+
+    return entries.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Remove cache entries in the pre-versioned format
+   */
+  removeLegacyEntries() {
+    LEGACY_CACHE_KEYS.forEach((key) => localStorage.removeItem(key));
+  }
+}
+
+/**
+ * IndexedDB backend: a `feeds` record per request URL (timestamp, paging,
+ * post count) and a `posts` record per post, keyed by `[url, position]`.
+ * Posts are stored as structured clones rather than one JSON string, and
+ * the quota is a share of free disk space rather than a few MB.
+ *
+ * Falls back to `fallback` (localStorage by default) where IndexedDB can't
+ * be opened, e.g. in some private browsing modes.
+ */
+export class IndexedDBBackend {
+  /**
+   * @param {Object} fallback - Backend to use if IndexedDB is unavailable
+   */
+  constructor(fallback = new LocalStorageBackend()) {
+    this.fallback = fallback;
+    this.database = null;
+  }
+
+  async read(url) {
+    const db = await this.open();
+    if (!db) return this.fallback.read(url);
+
+    const transaction = db.transaction([FEED_STORE, POST_STORE], "readonly");
+    const [feed, posts] = await Promise.all([
+      requestToPromise(transaction.objectStore(FEED_STORE).get(url)),
+      requestToPromise(
+        transaction.objectStore(POST_STORE).getAll(getPostRange(url))
+      ),
+    ]);
+
+    // A write that was cut short leaves the entry unusable
+    if (!feed || posts.length !== feed.postCount) return null;
+
+    return {
+      version: feed.version,
+      timestamp: feed.timestamp,
+      expires: feed.expires,
+      feed: {
+        data: posts.map((record) => record.post),
+        paging: feed.paging,
+      },
+    };
+  }
+
+  /**
+   * When the quota is reached, the oldest feeds are evicted until the new
+   * entry fits or there is nothing left to evict
+   */
+  async write(url, entry) {
+    const db = await this.open();
+    if (!db) return this.fallback.write(url, entry);
+
+    for (;;) {
+      try {
+        await this.put(db, url, entry);
+        return;
+      } catch (error) {
+        if (!isQuotaError(error)) throw error;
+
+        const oldest = await this.findOldestFeed(db, url);
+        if (!oldest) throw error;
+
+        await this.remove(oldest);
+        console.warn(`Cache full, evicted ${oldest}`);
+      }
+    }
+  }
+
+  async remove(url) {
+    const db = await this.open();
+    if (!db) return this.fallback.remove(url);
+
+    const transaction = db.transaction([FEED_STORE, POST_STORE], "readwrite");
+    transaction.objectStore(FEED_STORE).delete(url);
+    transaction.objectStore(POST_STORE).delete(getPostRange(url));
+    await transactionToPromise(transaction);
+  }
+
+  async clear() {
+    // Entries saved before IndexedDB was used, or while it was unavailable
+    await this.fallback.clear();
+
+    const db = await this.open();
+    if (!db) return;
+
+    const transaction = db.transaction([FEED_STORE, POST_STORE], "readwrite");
+    transaction.objectStore(FEED_STORE).clear();
+    transaction.objectStore(POST_STORE).clear();
+    await transactionToPromise(transaction);
+  }
+
+  async prune(time, maxAge) {
+    const db = await this.open();
+    if (!db) {
+      if (typeof this.fallback.prune === "function") {
+        await this.fallback.prune(time, maxAge);
+      }
+      return;
+    }
+
+    const feeds = await requestToPromise(
+      db.transaction(FEED_STORE, "readonly").objectStore(FEED_STORE).getAll()
+    );
+    const expired = feeds.filter((feed) => isExpired(feed, time, maxAge));
+    if (expired.length === 0) return;
+
+    const transaction = db.transaction([FEED_STORE, POST_STORE], "readwrite");
+    expired.forEach(({ url }) => {
+      transaction.objectStore(FEED_STORE).delete(url);
+      transaction.objectStore(POST_STORE).delete(getPostRange(url));
+    });
+    await transactionToPromise(transaction);
+  }
+
+  /**
+   * Replace the entry for a URL in a single transaction, so readers never
+   * see old and new posts mixed
+   * @param {IDBDatabase} db
+   * @param {string} url
+   * @param {Object} entry - `{ version, timestamp, feed }`
+   */
+  put(db, url, entry) {
+    const posts = entry.feed.data || [];
+    const transaction = db.transaction([FEED_STORE, POST_STORE], "readwrite");
+    const postStore = transaction.objectStore(POST_STORE);
+
+    transaction.objectStore(FEED_STORE).put({
+      url,
+      version: entry.version,
+      timestamp: entry.timestamp,
+      expires: entry.expires,
+      paging: entry.feed.paging,
+      postCount: posts.length,
+    });
+    postStore.delete(getPostRange(url));
+    posts.forEach((post, position) => postStore.put({ url, position, post }));
+
+    return transactionToPromise(transaction);
+  }
+
+  /**
+   * @param {IDBDatabase} db
+   * @param {string} exceptUrl - The entry being written
+   * @returns {Promise<string|null>} - URL of the oldest other feed
+   */
+  async findOldestFeed(db, exceptUrl) {
+    const transaction = db.transaction(FEED_STORE, "readonly");
+    const feeds = await requestToPromise(
+      transaction.objectStore(FEED_STORE).index("timestamp").getAllKeys()
+    );
+
+    return feeds.find((url) => url !== exceptUrl) || null;
+  }
+
+  /**
+   * Move entries from the fallback (saved by older versions of the widget,
+   * or while IndexedDB was unavailable) into IndexedDB, then clear the
+   * fallback so they don't take up localStorage's few MB forever. Entries
+   * IndexedDB already has a newer copy of are dropped. Fallbacks that can't
+   * list their entries are left alone.
+   * @param {IDBDatabase} db
+   * @returns {Promise<void>}
+   */
+  async migrateFallback(db) {
+    if (typeof this.fallback.entries !== "function") return;
+
+    const entries = await this.fallback.entries();
+    for (const { url, entry } of entries) {
+      const current = await requestToPromise(
+        db.transaction(FEED_STORE, "readonly").objectStore(FEED_STORE).get(url)
+      );
+      // Old-format entries have no feed to move; api.js would drop them
+      if (!entry.feed || (current && current.timestamp >= entry.timestamp)) {
+        continue;
+      }
+      await this.put(db, url, entry);
+    }
+
+    await this.fallback.clear();
+  }
+
+  /**
+   * Open (and on first use create) the database
+   * @returns {Promise<IDBDatabase|null>} - null if IndexedDB is unavailable
+   */
+  open() {
+    if (this.database) return this.database;
+
+    this.database = new Promise((resolve) => {
+      let request;
+      try {
+        request = indexedDB.open(DB_NAME, DB_VERSION);
+      } catch (error) {
+        console.warn("IndexedDB unavailable, caching in localStorage:", error);
+        resolve(null);
+        return;
+      }
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(FEED_STORE, { keyPath: "url" }).createIndex(
+          "timestamp",
+          "timestamp"
+        );
+        db.createObjectStore(POST_STORE, { keyPath: ["url", "position"] });
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version of the widget in another tab upgrade
+        db.onversionchange = () => {
+          db.close();
+          this.database = null;
+        };
+        // Before any read, so migrated entries are found
+        this.migrateFallback(db)
+          .catch((error) =>
+            console.warn("Failed to move cached feeds to IndexedDB:", error)
+          )
+          .then(() => resolve(db));
+      };
+
+      request.onerror = () => {
+        console.warn(
+          "IndexedDB unavailable, caching in localStorage:",
+          request.error
+        );
+        resolve(null);
+      };
+    });
+
+    return this.database;
+  }
+}
+
+/**
+ * Key range covering every post of one feed
+ * @param {string} url
+ * @returns {IDBKeyRange}
+ */
+function getPostRange(url) {
+  return IDBKeyRange.bound([url, 0], [url, Infinity]);
+}
+
+/**
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} - The request result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>} - Resolves on commit; rejects with the error that
+ *   aborted it (e.g. QuotaExceededError)
+ */
+function transactionToPromise(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () =>
+      reject(transaction.error || new DOMException("Aborted", "AbortError"));
+  });
+}
+
+/**
+ * Create a built-in backend by name
+ * @param {string} name - "indexeddb", "localstorage" or "auto" (IndexedDB
+ *   where the browser has it)
+ * @returns {Object|null} - null if the name is unknown
+ */
+export function createStorage(name = "auto") {
+  switch (name) {
+    case "indexeddb":
+      return new IndexedDBBackend();
+    case "localstorage":
+      return new LocalStorageBackend();
+    case "auto":
+      return typeof indexedDB !== "undefined"
+        ? new IndexedDBBackend()
+        : new LocalStorageBackend();
+    default:
+      return null;
+  }
+}
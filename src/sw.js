@@ -0,0 +1,183 @@
+/**
+ * Service Worker
+ * Built to dist/securent-fb-sw.js. Keeps the last copy of each page that
+ * registered it (see offline.js), along with the scripts, styles, fonts and
+ * images those pages load, and serves them when the network is down. Feed
+ * data is cached by the widget in IndexedDB, so API requests pass straight
+ * through.
+ *
+ * Only requests that are already cached, or that come from a registered
+ * page, are stored, so the rest of the site is left alone. Sites with their
+ * own service worker can importScripts() this file instead of registering it.
+ */
+
+import { PRECACHE_MESSAGE } from "./offline.js";
+
+const CACHE_PREFIX = "securent-fb-offline-";
+const PAGE_CACHE = `${CACHE_PREFIX}pages-v1`;
+const IMAGE_CACHE = `${CACHE_PREFIX}images-v1`;
+
+// Cross-origin images are opaque, and browsers count each one as several
+// MB against the quota
+const MAX_IMAGES = 100;
+
+const HANDLED_DESTINATIONS = ["document", "script", "style", "font", "image"];
+
+self.addEventListener("install", () => {
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter(
+              (key) =>
+                key.startsWith(CACHE_PREFIX) &&
+                key !== PAGE_CACHE &&
+                key !== IMAGE_CACHE
+            )
+            .map((key) => caches.delete(key))
+        )
+      )
+      // Take over the page that registered the worker, so the rest of its
+      // requests are seen
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  const message = event.data;
+  if (!message || message.type !== PRECACHE_MESSAGE) return;
+
+  event.waitUntil(precache(message));
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+
+  if (
+    request.method !== "GET" ||
+    !HANDLED_DESTINATIONS.includes(request.destination)
+  ) {
+    return;
+  }
+
+  event.respondWith(networkFirst(event));
+});
+
+/**
+ * Store a registered page and the files it loaded before the worker was
+ * running
+ * @param {Object} message - `{ page, assets, images }` from offline.js
+ */
+async function precache({ page, assets = [], images = [] }) {
+  const pages = await caches.open(PAGE_CACHE);
+  const imageCache = await caches.open(IMAGE_CACHE);
+
+  await Promise.allSettled(
+    [page]
+      .concat(assets)
+      .map((url) => fetchAndStore(pages, url))
+      .concat(images.map((url) => fetchAndStore(imageCache, url)))
+  );
+  await trimCache(imageCache, MAX_IMAGES);
+}
+
+/**
+ * @param {Cache} cache
+ * @param {string} url
+ */
+async function fetchAndStore(cache, url) {
+  const sameOrigin = new URL(url).origin === self.location.origin;
+  const request = new Request(url, {
+    mode: sameOrigin ? "same-origin" : "no-cors",
+    credentials: sameOrigin ? "same-origin" : "omit",
+  });
+  const response = await fetch(request);
+
+  if (isCacheable(response)) {
+    await cache.put(request, response);
+  }
+}
+
+/**
+ * Try the network, keeping a copy where appropriate, and fall back to the
+ * cached copy when offline
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(event) {
+  const { request } = event;
+  const isImage = request.destination === "image";
+  const cache = await caches.open(isImage ? IMAGE_CACHE : PAGE_CACHE);
+
+  try {
+    const response = await fetch(request);
+
+    if (isCacheable(response) && (await shouldStore(event, cache))) {
+      event.waitUntil(
+        cache
+          .put(request, response.clone())
+          .then(() => (isImage ? trimCache(cache, MAX_IMAGES) : null))
+          .catch((error) => console.warn("Failed to store response:", error))
+      );
+    }
+
+    return response;
+  } catch (error) {
+    // Deep-link parameters (?alerts-page=2) shouldn't stop a page matching
+    const cached = await cache.match(request, {
+      ignoreSearch: request.destination === "document",
+    });
+    if (cached) return cached;
+
+    throw error;
+  }
+}
+
+/**
+ * Store a response if the URL is already kept, or if the request came from
+ * a registered page
+ * @param {FetchEvent} event
+ * @param {Cache} cache
+ * @returns {Promise<boolean>}
+ */
+async function shouldStore(event, cache) {
+  if (await cache.match(event.request)) return true;
+  if (!event.clientId) return false;
+
+  const client = await self.clients.get(event.clientId);
+  if (!client) return false;
+
+  const pages = await caches.open(PAGE_CACHE);
+  return !!(await pages.match(client.url.split("#")[0]));
+}
+
+/**
+ * Successful responses, and opaque ones (cross-origin images and scripts,
+ * whose status can't be read). Redirected responses can't be served for a
+ * navigation, so they are skipped.
+ * @param {Response} response
+ * @returns {boolean}
+ */
+function isCacheable(response) {
+  return (response.ok && !response.redirected) || response.type === "opaque";
+}
+
+/**
+ * Drop the oldest entries beyond a limit
+ * @param {Cache} cache
+ * @param {number} limit
+ */
+async function trimCache(cache, limit) {
+  const keys = await cache.keys();
+  await Promise.all(
+    keys
+      .slice(0, Math.max(0, keys.length - limit))
+      .map((key) => cache.delete(key))
+  );
+}
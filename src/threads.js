@@ -0,0 +1,116 @@
+/**
+ * Update Threads Module
+ * Collapses repeated and superseded posts (a daily warning, or successive
+ * updates about one incident) into threads. The newest post stays in the
+ * feed and the earlier ones are listed under it.
+ */
+
+import { getPostTime } from "./validate.js";
+
+// Posts further apart than this never join a thread, so a new incident at
+// an old location starts its own
+const MAX_THREAD_GAP = 7 * 24 * 60 * 60 * 1000;
+
+// Normalised text shorter than this (e.g. "Road closed") is too likely to
+// repeat by chance to mean the same update
+const MIN_TEXT_KEY_LENGTH = 20;
+
+// "LOCATION: Warrego Road, Tennant Creek" in emergency service messages
+const LOCATION_REGEX = /^\s*LOCATION:\s*(.+)$/im;
+
+/**
+ * Group posts into update threads, newest first. Posts are threaded when
+ * their text matches once numbers, punctuation and emoji are ignored, when
+ * they share a link, or when they report the same incident location, and
+ * each is within a week of the next newer post in the thread.
+ * @param {Array<Object>} posts - Filtered posts
+ * @returns {Array<Object>} - One post per thread; threads of more than one
+ *   post are a copy of the newest with `thread` holding the earlier posts,
+ *   newest first
+ */
+export function groupPosts(posts) {
+  const newestFirst = [...posts].sort(
+    (a, b) => getPostTime(b) - getPostTime(a)
+  );
+
+  const byKey = new Map();
+  const threads = [];
+
+  newestFirst.forEach((post) => {
+    const keys = getThreadKeys(post);
+    const time = getPostTime(post);
+
+    let thread = keys
+      .map((key) => byKey.get(key))
+      .find(
+        (candidate) =>
+          candidate && candidate.oldestTime - time <= MAX_THREAD_GAP
+      );
+
+    if (thread) {
+      thread.posts.push(post);
+      thread.oldestTime = time;
+    } else {
+      thread = { posts: [post], oldestTime: time };
+      threads.push(thread);
+    }
+
+    keys.forEach((key) => byKey.set(key, thread));
+  });
+
+  return threads.map(({ posts: [latest, ...earlier] }) =>
+    earlier.length > 0 ? { ...latest, thread: earlier } : latest
+  );
+}
+
+/**
+ * Every post in a list, including the earlier posts of each thread
+ * @param {Array<Object>} posts - Output of groupPosts()
+ * @returns {Array<Object>}
+ */
+export function flattenThreads(posts) {
+  return posts.flatMap((post) => [post].concat(post.thread || []));
+}
+
+/**
+ * Keys under which two posts belong to the same thread
+ * @param {Object} post
+ * @returns {Array<string>}
+ */
+function getThreadKeys(post) {
+  const keys = [];
+  const message = post.message || "";
+
+  const text = normaliseText(message);
+  if (text.length >= MIN_TEXT_KEY_LENGTH) keys.push(`text:${text}`);
+
+  const location = message.match(LOCATION_REGEX);
+  if (location) {
+    const place = normaliseText(location[1]);
+    if (place) keys.push(`location:${place}`);
+  }
+
+  const attachments = (post.attachments && post.attachments.data) || [];
+  attachments.forEach((attachment) => {
+    if (attachment.unshimmed_url) {
+      keys.push(`url:${String(attachment.unshimmed_url).split("#")[0]}`);
+    }
+  });
+
+  return keys;
+}
+
+/**
+ * Reduce text to lower-case words, without links, numbers (dates and
+ * times), punctuation or emoji
+ * @param {string} text
+ * @returns {string}
+ */
+function normaliseText(text) {
+  return text
+    .toLowerCase()
+    .replace(/https?:\/\/\S+|www\.\S+/g, " ")
+    .replace(/[^\p{L}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
@@ -0,0 +1,111 @@
+/**
+ * Time Zone Module
+ * Calendar date helpers that work in a named IANA time zone rather than the
+ * visitor's browser time zone
+ */
+
+export const DEFAULT_TIME_ZONE = "Australia/Darwin";
+
+// A calendar date, optionally with a time but no offset or "Z"
+const LOCAL_DATE_TIME_REGEX =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+
+/**
+ * Validate a time zone name, falling back to the default
+ * @param {string} timeZone - IANA name, e.g. "Australia/Darwin"
+ * @returns {string}
+ */
+export function resolveTimeZone(timeZone) {
+  if (!timeZone) return DEFAULT_TIME_ZONE;
+
+  try {
+    new Intl.DateTimeFormat("en", { timeZone });
+    return timeZone;
+  } catch (error) {
+    console.warn(
+      `Invalid time zone "${timeZone}", using default (${DEFAULT_TIME_ZONE})`
+    );
+    return DEFAULT_TIME_ZONE;
+  }
+}
+
+/**
+ * Get the calendar date and time of an instant in a time zone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {Object} - `{ year, month, day, hour, minute, second }`
+ */
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+
+  const values = {};
+  parts.forEach((part) => {
+    if (part.type !== "literal") values[part.type] = parseInt(part.value);
+  });
+
+  return values;
+}
+
+/**
+ * Offset of a time zone from UTC at a given instant
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number} - Milliseconds to add to UTC to get local time
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Parse a date option in a time zone. Values without an offset
+ * (`YYYY-MM-DD`, or with a time such as `YYYY-MM-DDTHH:mm`) are wall-clock
+ * times in the zone, with plain dates meaning midnight at the start of that
+ * day; values with an offset or "Z" are parsed by `Date` as an absolute
+ * instant. The browser's own time zone is never used.
+ * @param {string} value - e.g. "2025-11-15", "2025-11-15T10:00" or
+ *   "2025-11-15T10:00:00+09:30"
+ * @param {string} timeZone
+ * @returns {Date} - May be an invalid Date if the value can't be parsed
+ */
+export function parseDateInZone(value, timeZone) {
+  const match = String(value).trim().match(LOCAL_DATE_TIME_REGEX);
+  if (!match) return new Date(value);
+
+  const [year, month, day, hour, minute, second] = match
+    .slice(1, 7)
+    .map((part) => parseInt(part || "0"));
+  const ms = match[7] ? parseInt(match[7].padEnd(3, "0")) : 0;
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+
+  // Apply the offset, then re-check it in case of a DST transition
+  let instant = wallTime - getTimeZoneOffset(new Date(wallTime), timeZone);
+  instant = wallTime - getTimeZoneOffset(new Date(instant), timeZone);
+
+  return new Date(instant);
+}
+
+/**
+ * Format an instant as the `YYYY-MM-DD` calendar date in a time zone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+export function formatIsoDate(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const month = String(p.month).padStart(2, "0");
+  const day = String(p.day).padStart(2, "0");
+
+  return `${p.year}-${month}-${day}`;
+}
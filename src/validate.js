@@ -0,0 +1,267 @@
+/**
+ * Validation Module
+ * Checks normalised feeds before they are cached or rendered. Posts are
+ * checked one at a time: obvious problems are repaired, posts that can't be
+ * shown safely are dropped, and the rest of the feed is kept. Each change is
+ * recorded as a diagnostic for the widget's `diagnostic` event.
+ */
+
+// Graph API offsets have no colon ("+0000"), which Safari won't parse
+const COMPACT_OFFSET = /([+-]\d{2})(\d{2})$/;
+
+// Added by the widget after validation (source badges in aggregate.js,
+// update threads in threads.js), so a feed must not supply them
+const INTERNAL_FIELDS = ["sources", "thread"];
+
+/**
+ * Validate a normalised feed
+ * @param {Object} feed - `{ data, paging }` from normalizeFeed()
+ * @returns {Object} - `{ data, paging, diagnostics }`. Diagnostics are
+ *   `{ action, postId, index, field, reason }`, where action is "repaired"
+ *   (shown with a field fixed or removed) or "dropped" (left out)
+ * @throws {Error} - If the feed has no list of posts at all, so callers
+ *   fall back to the cache as for any failed request
+ */
+export function validateFeed(feed) {
+  if (!isObject(feed) || !Array.isArray(feed.data)) {
+    throw new Error("Invalid feed response: expected a list of posts");
+  }
+
+  const diagnostics = [];
+  const data = [];
+
+  feed.data.forEach((post, index) => {
+    const result = validatePost(post, index);
+    diagnostics.push(...result.diagnostics);
+    if (result.post) data.push(result.post);
+  });
+
+  return {
+    data,
+    paging: validatePaging(feed.paging, diagnostics),
+    diagnostics,
+  };
+}
+
+/**
+ * Check one post
+ * @param {*} post
+ * @param {number} index - Position in the response, for posts with no id
+ * @returns {Object} - `{ post, diagnostics }`, where post is null if dropped
+ */
+function validatePost(post, index) {
+  const diagnostics = [];
+
+  if (!isObject(post)) {
+    diagnostics.push({
+      action: "dropped",
+      postId: null,
+      index,
+      field: null,
+      reason: "Post is not an object",
+    });
+    return { post: null, diagnostics };
+  }
+
+  const repaired = { ...post };
+  const report = (action, field, reason) =>
+    diagnostics.push({
+      action,
+      postId:
+        typeof repaired.id === "string" && repaired.id ? repaired.id : null,
+      index,
+      field,
+      reason,
+    });
+
+  if (typeof repaired.id === "number") {
+    repaired.id = String(repaired.id);
+  }
+
+  const createdTime = parseCreatedTime(repaired.created_time);
+  if (!createdTime) {
+    report(
+      "dropped",
+      "created_time",
+      `Missing or invalid created_time: ${JSON.stringify(
+        repaired.created_time
+      )}`
+    );
+    return { post: null, diagnostics };
+  }
+  repaired.created_time = createdTime;
+
+  if (typeof repaired.id !== "string" || repaired.id === "") {
+    // Stable across fetches, so deep links and "new posts" checks still work
+    repaired.id =
+      typeof repaired.permalink_url === "string" && repaired.permalink_url
+        ? repaired.permalink_url
+        : `generated-${hashString(
+            `${repaired.created_time}\n${
+              typeof repaired.message === "string" ? repaired.message : ""
+            }`
+          )}`;
+    report("repaired", "id", "Missing id, generated one");
+  }
+
+  if (typeof repaired.message === "number") {
+    repaired.message = String(repaired.message);
+  } else if (
+    repaired.message !== undefined &&
+    repaired.message !== null &&
+    typeof repaired.message !== "string"
+  ) {
+    delete repaired.message;
+    report("repaired", "message", "message is not text, removed");
+  }
+
+  if (
+    repaired.permalink_url !== undefined &&
+    typeof repaired.permalink_url !== "string"
+  ) {
+    delete repaired.permalink_url;
+    report(
+      "repaired",
+      "permalink_url",
+      "permalink_url is not a string, removed"
+    );
+  }
+
+  INTERNAL_FIELDS.forEach((field) => {
+    if (repaired[field] === undefined) return;
+    delete repaired[field];
+    report("repaired", field, `${field} is set by the widget, removed`);
+  });
+
+  if (repaired.attachments !== undefined && repaired.attachments !== null) {
+    const { data, problems } = validateAttachments(repaired.attachments);
+    if (data.length > 0) {
+      repaired.attachments = { data };
+    } else {
+      delete repaired.attachments;
+    }
+    problems.forEach((reason) => report("repaired", "attachments", reason));
+  }
+
+  return { post: repaired, diagnostics };
+}
+
+/**
+ * Parse `created_time`, accepting ISO 8601 and Graph API ("+0000") offsets
+ * @param {*} value
+ * @returns {string|null} - The original value, an ISO string if it had to
+ *   be rewritten to parse, or null if it isn't a date
+ */
+function parseCreatedTime(value) {
+  if (typeof value !== "string" || value.trim() === "") return null;
+
+  if (!isNaN(new Date(value).getTime())) return value;
+
+  const date = new Date(value.replace(COMPACT_OFFSET, "$1:$2"));
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Check a Graph API attachments envelope, dropping attachments that aren't
+ * objects and album entries that aren't lists
+ * @param {*} attachments - Expected `{ data: [...] }`
+ * @returns {Object} - `{ data, problems }`
+ */
+function validateAttachments(attachments) {
+  const problems = [];
+  let list;
+
+  if (Array.isArray(attachments)) {
+    list = attachments;
+    problems.push("attachments is a bare list, wrapped in { data }");
+  } else if (isObject(attachments) && Array.isArray(attachments.data)) {
+    list = attachments.data;
+  } else {
+    problems.push("attachments has no data list, removed");
+    return { data: [], problems };
+  }
+
+  const data = [];
+  list.forEach((attachment, index) => {
+    if (!isObject(attachment)) {
+      problems.push(`Attachment ${index} is not an object, removed`);
+      return;
+    }
+
+    const copy = { ...attachment };
+    if (
+      copy.subattachments !== undefined &&
+      !(
+        isObject(copy.subattachments) && Array.isArray(copy.subattachments.data)
+      )
+    ) {
+      delete copy.subattachments;
+      problems.push(`Attachment ${index} has invalid subattachments, removed`);
+    }
+    if (copy.media !== undefined && !isObject(copy.media)) {
+      delete copy.media;
+      problems.push(`Attachment ${index} has invalid media, removed`);
+    }
+    data.push(copy);
+  });
+
+  return { data, problems };
+}
+
+/**
+ * Paging must be an object with a string `next`, or absent
+ * @param {*} paging
+ * @param {Array<Object>} diagnostics - Appended to if paging is repaired
+ * @returns {Object|null}
+ */
+function validatePaging(paging, diagnostics) {
+  if (paging === undefined || paging === null) return null;
+
+  if (
+    isObject(paging) &&
+    (paging.next === undefined || typeof paging.next === "string")
+  ) {
+    return paging;
+  }
+
+  diagnostics.push({
+    action: "repaired",
+    postId: null,
+    index: null,
+    field: "paging",
+    reason: "Invalid paging, further pages ignored",
+  });
+  return null;
+}
+
+/**
+ * Short, stable hash of a string (djb2)
+ * @param {string} value
+ * @returns {string}
+ */
+function hashString(value) {
+  let hash = 5381;
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Plain object check shared with the source adapters
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * A post's `created_time` in milliseconds, for sorting and grouping
+ * @param {Object} post
+ * @returns {number} - 0 if the time doesn't parse
+ */
+export function getPostTime(post) {
+  const time = new Date(post.created_time).getTime();
+  return isNaN(time) ? 0 : time;
+}
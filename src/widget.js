@@ -1,63 +1,133 @@
 /**
  * Widget Module
- * Main widget functionality with lazy loading, pagination, and rendering
+ * Main widget functionality with lazy loading, pagination, and rendering.
+ * Markup comes from FeedRenderer; this class owns the DOM, state and events.
  */
 
-import { fetchFeed, getCachedFeed } from "./api.js";
-import { createCacheNotice } from "./consent.js";
-
-export class FacebookFeedWidget {
+import { fetchFeed } from "./api.js";
+import { fetchAllSources, getCachedSources } from "./aggregate.js";
+import { closeLightbox, openLightbox } from "./lightbox.js";
+import {
+  FeedRenderer,
+  STATIC_CLASS,
+  STATIC_DATA_CLASS,
+} from "./renderer.js";
+import { enableTrustedTypes, trustedHtml } from "./sanitize.js";
+import { validateFeed } from "./validate.js";
+import { flattenThreads } from "./threads.js";
+import { parseDateInZone, formatIsoDate } from "./timezone.js";
+
+const MIN_REFRESH_INTERVAL = 30; // seconds
+const SEARCH_DEBOUNCE = 300; // milliseconds
+const EVENT_PREFIX = "securent-fb:";
+
+// Options update() can change on a running widget
+export const UPDATABLE_OPTIONS = [
+  "startDate",
+  "endDate",
+  "filterKeywords",
+  "filter",
+  "groupUpdates",
+  "itemsPerPage",
+  "theme",
+  "title",
+];
+
+// Used to give each widget's form controls unique IDs
+let instanceCount = 0;
+
+export class FacebookFeedWidget extends FeedRenderer {
   constructor(element, options = {}) {
+    // Before any markup is built, so every HTML sink can use the policy
+    if (options.trustedTypes === true || options.trustedTypes === "true") {
+      enableTrustedTypes();
+    }
+
+    super(options);
     this.element = element;
+    this.instanceId = ++instanceCount;
+
+    // Rendering options are parsed by FeedRenderer
     this.options = {
+      ...this.options,
       apiUrl:
         options.apiUrl ||
         "https://securent.nt.gov.au/_design/integration-points/socials/facebook-securent/_nocache",
-      itemsPerPage: parseInt(options.itemsPerPage) || 5,
-      fallbackUrl: options.fallbackUrl || "https://www.facebook.com/SecureNT",
-      theme: options.theme || "light",
-      title: options.title || "Latest from SecureNT",
-      content: options.content || null,
       fallbackMessage: options.fallbackMessage || null,
-      cardSize: options.cardSize || "full",
+      cacheMaxAge:
+        options.cacheMaxAge !== undefined && options.cacheMaxAge !== null
+          ? parseInt(options.cacheMaxAge)
+          : undefined,
+      staleWhileRevalidate:
+        options.staleWhileRevalidate === true ||
+        options.staleWhileRevalidate === "true",
+      refreshInterval: parseInt(options.refreshInterval) || 0,
+      // Request settings; api.js applies its defaults where these are unset
+      requestTimeout: parseFloat(options.requestTimeout) || undefined,
+      retries:
+        options.retries !== undefined && options.retries !== null
+          ? parseInt(options.retries)
+          : undefined,
+      retryDelay:
+        options.retryDelay !== undefined && options.retryDelay !== null
+          ? parseFloat(options.retryDelay)
+          : undefined,
+      deepLink: options.deepLink !== false && options.deepLink !== "false",
+      sourceFormat: options.sourceFormat || "auto",
     };
 
-    // Parse filter keywords (semicolon-separated)
-    this.filterKeywords = options.filterKeywords
-      ? options.filterKeywords
-          .split(";")
-          .map((k) => k.trim().toLowerCase())
-          .filter((k) => k)
-      : null;
-
-    // Parse date filters with defaults
-    // Default start date: 1970-01-01
-    // Default end date: tomorrow
-    const defaultStartDate = new Date("1970-01-01");
-    const defaultEndDate = new Date(Date.now() + 86400000); // Tomorrow
+    // Several labelled feeds merged into one timeline (e.g. data-sources)
+    this.sources = this.parseSources(options.sources);
 
-    this.startDate = options.startDate
-      ? new Date(options.startDate)
-      : defaultStartDate;
-    this.endDate = options.endDate ? new Date(options.endDate) : defaultEndDate;
+    // Custom post layout from an HTML <template> (e.g. data-template="#id")
+    this.postTemplate = options.template
+      ? this.findTemplate(options.template)
+      : null;
 
-    // Validate dates and fallback to defaults if invalid
-    if (isNaN(this.startDate.getTime())) {
-      console.warn("Invalid start date provided, using default (1970-01-01)");
-      this.startDate = defaultStartDate;
-    }
-    if (isNaN(this.endDate.getTime())) {
-      console.warn("Invalid end date provided, using default (tomorrow)");
-      this.endDate = defaultEndDate;
+    // Keep background polling gentle on the proxy
+    if (
+      this.options.refreshInterval > 0 &&
+      this.options.refreshInterval < MIN_REFRESH_INTERVAL
+    ) {
+      console.warn(
+        `Refresh interval below ${MIN_REFRESH_INTERVAL}s, using ${MIN_REFRESH_INTERVAL}s`
+      );
+      this.options.refreshInterval = MIN_REFRESH_INTERVAL;
     }
 
-    this.posts = [];
-    this.currentPage = 1;
+    this.startDate = this.parseStartDate(options.startDate);
+    this.endDate = this.parseEndDate(options.endDate);
+
     this.isLoading = false;
+    // Set by destroy(). Work that was awaiting a request checks it before
+    // touching the element, which may already belong to a new widget.
+    this.destroyed = false;
     this.observer = null;
-    this.fromCache = false;
-    this.cacheTimestamp = null;
-    this.lastUpdated = null;
+    this.requestUrl = null;
+    this.isLoadingMore = false;
+    this.isShowingMore = false;
+    this.moreObserver = null;
+    this.refreshTimer = null;
+    this.lastCheckedAt = 0;
+    this.handleVisibilityChange = null;
+    this.searchTimer = null;
+    this.expandedPostId = null;
+    this.handlePopState = null;
+    this.handleClick = null;
+    this.reloadQueued = false;
+    this.isHydrated = false;
+
+    // Prefix for this widget's URL parameters and post anchors, so several
+    // widgets on one page keep separate state
+    this.urlKey = options.id || element.id || `fb${this.instanceId}`;
+
+    // State from a shared link, applied once the first posts are rendered
+    this.pendingUrlState = null;
+    if (this.options.deepLink) {
+      this.pendingUrlState = this.readUrlState();
+      this.searchTerm = this.pendingUrlState.search;
+      this.expandedPostId = this.pendingUrlState.postId;
+    }
 
     this.init();
   }
@@ -66,9 +136,84 @@ export class FacebookFeedWidget {
     this.element.classList.add("securent-fb-widget");
     this.element.classList.add(`securent-fb-theme-${this.options.theme}`);
 
+    // Let assistive technology pick the right pronunciation
+    if (this.options.locale) {
+      this.element.setAttribute("lang", this.options.locale);
+    }
+
+    // Delegated so photos work however the post list was (re-)rendered
+    this.handleClick = (e) => {
+      this.handleLightboxClick(e);
+      this.handleCopyLinkClick(e);
+    };
+    this.element.addEventListener("click", this.handleClick);
+
+    // Back/forward restores the page, search and expanded post
+    if (this.options.deepLink) {
+      this.handlePopState = () => this.applyUrlState(this.readUrlState());
+      window.addEventListener("popstate", this.handlePopState);
+    }
+
+    // Posts baked into the page by the static renderer
+    const staticFeed = this.readStaticFeed();
+    if (staticFeed) {
+      this.hydrate(staticFeed);
+    }
+
     this.setupLazyLoading();
   }
 
+  /**
+   * Read the feed data the static renderer embeds next to its markup
+   * @returns {Object|null} - `{ data, paging, timestamp }`, or null
+   */
+  readStaticFeed() {
+    const script = this.element.querySelector(`script.${STATIC_DATA_CLASS}`);
+    if (!script) return null;
+
+    try {
+      const feed = JSON.parse(script.textContent);
+      return {
+        ...validateFeed({ data: feed.data, paging: feed.paging }),
+        timestamp: new Date(feed.timestamp),
+      };
+    } catch (error) {
+      console.warn("Invalid static feed data, loading from the API:", error);
+      return null;
+    } finally {
+      script.remove();
+    }
+  }
+
+  /**
+   * Take over server-rendered markup: render the embedded posts with event
+   * listeners attached, without a skeleton or a request. The markup is
+   * rebuilt from the same renderer, so it only changes where the page URL
+   * (deep links) or the time since baking (relative times) differ. Fresh
+   * posts are fetched by the lazy load as usual.
+   * @param {Object} feed - `{ data, paging, diagnostics, timestamp }`
+   */
+  hydrate(feed) {
+    this.setPosts(feed.data);
+    this.nextPageUrl = this.getNextPageUrl(feed.paging);
+    this.cacheTimestamp = feed.timestamp;
+    this.lastUpdated = feed.timestamp;
+    this.currentPage = 1;
+    this.isHydrated = true;
+
+    this.element.classList.remove(STATIC_CLASS);
+    this.render();
+    this.reportDiagnostics(feed.diagnostics);
+    this.emit("loaded", {
+      postCount: this.posts.length,
+      fromCache: false,
+      timestamp: feed.timestamp,
+      isRefresh: false,
+      stale: true,
+      hydrated: true,
+    });
+  }
+
   setupLazyLoading() {
     this.observer = new IntersectionObserver(
       (entries) => {
@@ -76,7 +221,7 @@ export class FacebookFeedWidget {
           if (
             entry.isIntersecting &&
             !this.isLoading &&
-            this.posts.length === 0
+            !this.requestUrl
           ) {
             this.loadFeed();
             this.observer.unobserve(this.element);
@@ -92,33 +237,504 @@ export class FacebookFeedWidget {
     this.observer.observe(this.element);
   }
 
-  async loadFeed(isRefresh = false) {
+  /**
+   * Fetch the feed and render it
+   * @param {boolean} isRefresh - Keep the header and show a spinner instead
+   *   of the skeleton
+   * @param {boolean} manual - Whether the reader asked for the refresh
+   */
+  async loadFeed(isRefresh = false, manual = isRefresh) {
     if (this.isLoading) return;
 
     this.isLoading = true;
 
     if (isRefresh) {
+      this.emit("refresh", { manual });
+    }
+
+    const requests = this.getSourceRequests();
+    // A reader's refresh is tried even while the API is being skipped
+    const cacheOptions = this.getFetchOptions(manual);
+    this.requestUrl = requests[0].url;
+
+    // Server-rendered posts are already on screen (see hydrate())
+    const hydrated = !isRefresh && this.isHydrated;
+    this.isHydrated = false;
+
+    // Stale-while-revalidate: paint cached posts straight away on first load
+    const cached =
+      !isRefresh && !hydrated && this.options.staleWhileRevalidate
+        ? await getCachedSources(requests, cacheOptions)
+        : null;
+    if (this.destroyed) return;
+    const hasStalePosts = hydrated || !!cached;
+
+    if (cached) {
+      this.showStaleFeed(cached);
+    } else if (hydrated) {
+      // Leave them in place until fresh posts arrive
+    } else if (isRefresh) {
       this.showLoadingState();
     } else {
       this.showSkeletonLoader();
     }
 
     try {
-      const result = await fetchFeed(this.buildApiUrl());
-      this.posts = this.filterPosts(result.data);
+      const result = await fetchAllSources(requests, cacheOptions);
+      if (this.destroyed) return;
+
+      this.setPosts(result.data);
+      this.nextPageUrl = this.getNextPageUrl(result.paging);
       this.fromCache = result.fromCache;
+      this.failedSources = result.failedSources;
       this.cacheTimestamp = result.timestamp;
       this.lastUpdated = new Date();
-      this.currentPage = 1;
+      this.isRevalidating = false;
+      this.pendingFeed = null;
 
-      this.render();
+      if (hasStalePosts) {
+        // Swap in fresh data without moving the reader
+        this.renderPreservingPosition();
+      } else {
+        this.currentPage = 1;
+        this.render();
+      }
+      this.reportDiagnostics(result.diagnostics);
+
+      if (result.fromCache) {
+        this.emit("error", { error: result.error, fromCache: true });
+        this.emit("cache-fallback", {
+          timestamp: result.timestamp,
+          error: result.error,
+        });
+      } else {
+        // Some sources failed while others loaded
+        result.sourceErrors.forEach(({ source, error }) =>
+          this.emit("error", { error, fromCache: false, source: source.id })
+        );
+      }
+      this.emit("loaded", {
+        postCount: this.posts.length,
+        fromCache: result.fromCache,
+        timestamp: result.timestamp,
+        isRefresh,
+        failedSources: result.failedSources,
+      });
     } catch (error) {
-      this.showError();
+      if (this.destroyed) return;
+
+      this.isRevalidating = false;
+      this.emit("error", { error: error.message, fromCache: hasStalePosts });
+
+      if (hasStalePosts) {
+        // Keep the cached posts on screen and flag them as out of date
+        this.fromCache = true;
+        this.renderPreservingPosition();
+        this.emit("cache-fallback", {
+          timestamp: this.cacheTimestamp,
+          error: error.message,
+        });
+      } else {
+        await this.showError();
+      }
     } finally {
       this.isLoading = false;
+      // Failed loads count as checks too, so the first poll waits a full
+      // interval rather than firing straight away
+      this.lastCheckedAt = Date.now();
+
+      if (!this.destroyed) {
+        this.startAutoRefresh();
+
+        // The date window changed while this request was in flight
+        if (this.reloadQueued) {
+          this.reloadQueued = false;
+          this.loadFeed(true, false);
+        }
+      }
     }
   }
 
+  /**
+   * Change options on a running widget without rebuilding it. Keyword,
+   * filter expression and grouping changes re-filter the posts already
+   * fetched; a new date window is fetched from the API.
+   * @param {Object} partialOptions - Any of UPDATABLE_OPTIONS; `undefined`
+   *   or empty values restore the default
+   * @returns {Promise<FacebookFeedWidget>} - Resolves once re-rendered
+   */
+  async update(partialOptions = {}) {
+    const keys = Object.keys(partialOptions).filter((key) => {
+      if (UPDATABLE_OPTIONS.includes(key)) return true;
+      console.warn(
+        `Option "${key}" can't be changed with update(), recreate the widget instead`
+      );
+      return false;
+    });
+    if (keys.length === 0) return this;
+
+    const changed = (key) => keys.includes(key);
+    const previousUrl = this.buildApiUrl();
+    let rerender = false;
+
+    if (changed("theme")) {
+      this.element.classList.remove(`securent-fb-theme-${this.options.theme}`);
+      this.options.theme = partialOptions.theme || "light";
+      this.element.classList.add(`securent-fb-theme-${this.options.theme}`);
+    }
+
+    if (changed("title")) {
+      this.options.title =
+        partialOptions.title || this.i18n.t("defaultTitle");
+      rerender = true;
+    }
+
+    if (changed("itemsPerPage")) {
+      const previousPerPage = this.options.itemsPerPage;
+      this.options.itemsPerPage = parseInt(partialOptions.itemsPerPage) || 5;
+
+      // Keep the reader's place: the first post shown in "pages" mode, the
+      // number of posts shown in load-more and infinite modes
+      this.currentPage =
+        this.options.pagination === "pages"
+          ? Math.floor(
+              ((this.currentPage - 1) * previousPerPage) /
+                this.options.itemsPerPage
+            ) + 1
+          : Math.ceil(
+              (this.currentPage * previousPerPage) / this.options.itemsPerPage
+            );
+      rerender = true;
+    }
+
+    if (
+      changed("filterKeywords") ||
+      changed("filter") ||
+      changed("groupUpdates")
+    ) {
+      if (changed("filterKeywords")) {
+        this.filterKeywords = this.parseFilterKeywords(
+          partialOptions.filterKeywords
+        );
+      }
+      if (changed("filter")) {
+        this.filterMatcher = this.parseFilter(partialOptions.filter);
+      }
+      if (changed("groupUpdates")) {
+        this.options.groupUpdates =
+          partialOptions.groupUpdates === true ||
+          partialOptions.groupUpdates === "true";
+      }
+      this.setPosts(this.fetchedPosts);
+      this.currentPage = 1;
+      rerender = true;
+    }
+
+    if (changed("startDate")) {
+      this.startDate = this.parseStartDate(partialOptions.startDate);
+    }
+    if (changed("endDate")) {
+      this.endDate = this.parseEndDate(partialOptions.endDate);
+    }
+
+    this.emit("update", { options: keys });
+
+    // Not fetched yet - the lazy load will use the new options
+    if (!this.requestUrl) {
+      if (rerender && this.isHydrated) this.renderPreservingPosition();
+      return this;
+    }
+
+    // Dates are sent to the API by calendar day, so only a different day
+    // needs a new request
+    if (this.buildApiUrl() !== previousUrl) {
+      if (this.isLoading) {
+        this.reloadQueued = true;
+      } else {
+        await this.loadFeed(true, false);
+      }
+      return this;
+    }
+
+    // A request in flight renders with the new options when it completes,
+    // and the error state has no posts to re-render
+    if (rerender && !this.isLoading && this.cacheTimestamp) {
+      this.renderPreservingPosition();
+    }
+
+    return this;
+  }
+
+  /**
+   * Start background polling when `refreshInterval` is set.
+   * Polling pauses while the tab is hidden and resumes when it is shown.
+   */
+  startAutoRefresh() {
+    if (!this.options.refreshInterval || this.handleVisibilityChange) return;
+
+    this.handleVisibilityChange = () => {
+      if (document.hidden) {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+      } else {
+        this.scheduleRefresh();
+      }
+    };
+    document.addEventListener(
+      "visibilitychange",
+      this.handleVisibilityChange
+    );
+
+    this.scheduleRefresh();
+  }
+
+  /**
+   * Schedule the next background check, running it straight away if one is
+   * overdue (e.g. after the tab has been hidden for longer than the interval)
+   */
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+
+    if (this.destroyed || document.hidden) return;
+
+    const interval = this.options.refreshInterval * 1000;
+    const delay = Math.max(0, this.lastCheckedAt + interval - Date.now());
+
+    this.refreshTimer = setTimeout(async () => {
+      await this.checkForNewPosts();
+      if (this.destroyed) return;
+      this.scheduleRefresh();
+    }, delay);
+  }
+
+  /**
+   * Fetch the feed in the background and, if it contains posts that are not
+   * already shown, hold it back behind a "new posts" banner
+   */
+  async checkForNewPosts() {
+    this.lastCheckedAt = Date.now();
+
+    if (this.isLoading || !this.requestUrl) return;
+
+    try {
+      const result = await fetchAllSources(
+        this.getSourceRequests(),
+        this.getFetchOptions()
+      );
+
+      // A failed poll falls back to cache - nothing new to offer
+      if (this.destroyed || result.fromCache) return;
+
+      this.reportDiagnostics(result.diagnostics);
+
+      const posts = this.filterPosts(result.data);
+      const knownIds = new Set(
+        flattenThreads(this.posts).map((post) => post.id)
+      );
+      const newCount = posts.filter((post) => !knownIds.has(post.id)).length;
+
+      if (newCount === 0) return;
+
+      this.pendingFeed = {
+        fetchedPosts: result.data,
+        paging: result.paging,
+        timestamp: result.timestamp,
+        failedSources: result.failedSources,
+        newCount,
+      };
+      this.emit("new-posts", { count: newCount });
+
+      // Nothing on screen to disrupt (e.g. the error state) - show them now
+      if (this.posts.length === 0) {
+        this.showNewPosts();
+      } else {
+        this.updateNewPostsBanner();
+      }
+    } catch (error) {
+      if (this.destroyed) return;
+      console.warn("Background refresh failed:", error);
+    }
+  }
+
+  /**
+   * Replace the shown posts with the feed held back by checkForNewPosts()
+   */
+  showNewPosts() {
+    const pending = this.pendingFeed;
+    if (!pending) return;
+
+    this.setPosts(pending.fetchedPosts);
+    this.nextPageUrl = this.getNextPageUrl(pending.paging);
+    this.fromCache = false;
+    this.failedSources = pending.failedSources;
+    this.cacheTimestamp = pending.timestamp;
+    this.lastUpdated = new Date();
+    this.pendingFeed = null;
+    this.currentPage = 1;
+
+    this.emit("refresh", { manual: false });
+    this.render();
+    this.emit("loaded", {
+      postCount: this.posts.length,
+      fromCache: false,
+      timestamp: pending.timestamp,
+      isRefresh: true,
+    });
+  }
+
+  /**
+   * Insert or update the "new posts" banner without re-rendering the feed
+   */
+  updateNewPostsBanner() {
+    const existing = this.element.querySelector(".securent-fb-new-posts");
+    const results = this.element.querySelector(".securent-fb-results");
+
+    if (existing) {
+      existing.outerHTML = trustedHtml(this.renderNewPostsBanner());
+    } else if (results) {
+      results.insertAdjacentHTML(
+        "beforebegin",
+        trustedHtml(this.renderNewPostsBanner())
+      );
+    } else {
+      return;
+    }
+
+    this.attachNewPostsListener();
+  }
+
+  attachNewPostsListener() {
+    const showBtn = this.element.querySelector(".securent-fb-show-new");
+    if (showBtn) {
+      showBtn.addEventListener("click", () => {
+        this.showNewPosts();
+        this.element.scrollIntoView({ behavior: "smooth", block: "start" });
+      });
+    }
+  }
+
+  /**
+   * Render cached posts immediately while fresh data loads in the background
+   * @param {Object} cached - Cached data and timestamp from getCachedFeed()
+   */
+  showStaleFeed(cached) {
+    this.setPosts(cached.data);
+    this.nextPageUrl = this.getNextPageUrl(cached.paging);
+    this.fromCache = false;
+    this.cacheTimestamp = cached.timestamp;
+    this.lastUpdated = cached.timestamp;
+    this.currentPage = 1;
+    this.isRevalidating = true;
+
+    this.render();
+    this.reportDiagnostics(cached.diagnostics);
+    this.emit("loaded", {
+      postCount: this.posts.length,
+      fromCache: true,
+      timestamp: cached.timestamp,
+      isRefresh: false,
+      stale: true,
+    });
+  }
+
+  /**
+   * Re-render while keeping the current page and scroll position
+   */
+  renderPreservingPosition() {
+    const totalPages = Math.max(1, this.getTotalPages());
+    const scrollX = window.scrollX;
+    const scrollY = window.scrollY;
+
+    this.currentPage = Math.min(this.currentPage, totalPages);
+    this.render();
+
+    window.scrollTo(scrollX, scrollY);
+  }
+
+  /**
+   * Fetch further API pages until at least `minPosts` filtered posts are held
+   * locally or the API reports no more pages
+   * @param {number} minPosts - Number of posts needed
+   */
+  async loadMorePosts(minPosts) {
+    if (this.isLoadingMore || !this.nextPageUrl) return;
+
+    this.isLoadingMore = true;
+    this.failedPageUrl = null;
+    this.showLoadingState();
+
+    try {
+      while (this.nextPageUrl && this.getVisiblePosts().length < minPosts) {
+        const result = await fetchFeed(this.nextPageUrl, {
+          ...this.getFetchOptions(),
+          sourceFormat: this.getSourceRequests()[0].format,
+        });
+        if (this.destroyed) return;
+
+        this.setPosts(this.fetchedPosts.concat(result.data || []));
+        this.nextPageUrl = this.getNextPageUrl(result.paging);
+        this.reportDiagnostics(result.diagnostics);
+      }
+    } catch (error) {
+      if (this.destroyed) return;
+
+      console.warn("Failed to load more posts:", error);
+      this.failedPageUrl = this.nextPageUrl;
+      this.emit("error", { error: error.message, fromCache: false });
+    } finally {
+      this.isLoadingMore = false;
+      if (!this.destroyed) this.hideLoadingState();
+    }
+  }
+
+  /**
+   * Work out the URL of the next API page from a Graph API paging object.
+   * The `after` cursor is replayed against our own proxy so requests never
+   * go to graph.facebook.com directly; `next` is only used as a fallback.
+   * @param {Object|null} paging - `{ cursors: { after }, next }`
+   * @returns {string|null}
+   */
+  getNextPageUrl(paging) {
+    if (!paging || !paging.next) return null;
+
+    const after = paging.cursors && paging.cursors.after;
+    if (after) {
+      // Hydrated widgets page before their first request, so use the URL
+      // that request will have
+      const baseUrl = this.requestUrl || this.getSourceRequests()[0].url;
+      return `${baseUrl}&after=${encodeURIComponent(after)}`;
+    }
+
+    return paging.next;
+  }
+
+  /**
+   * Apply a new search term, updating only the results so the search box
+   * keeps focus
+   * @param {string} term - Text typed by the reader
+   */
+  search(term) {
+    this.searchTerm = term.trim();
+    this.currentPage = 1;
+    this.updateResults();
+    this.announceSearchResults();
+  }
+
+  /**
+   * Tell screen reader users how many posts match the search
+   */
+  announceSearchResults() {
+    const status = this.element.querySelector(".securent-fb-search-status");
+    if (!status) return;
+
+    const count = this.getVisiblePosts().length;
+
+    status.textContent = this.searchTerm
+      ? this.i18n.t("searchResults", { count, term: this.searchTerm })
+      : this.i18n.t("searchAll", { count });
+  }
+
   showSkeletonLoader() {
     const skeletons = Array(this.options.itemsPerPage)
       .fill(0)
@@ -134,7 +750,9 @@ export class FacebookFeedWidget {
       )
       .join("");
 
-    this.element.innerHTML = `<div class="securent-fb-feed">${skeletons}</div>`;
+    this.element.innerHTML = trustedHtml(
+      `<div class="securent-fb-feed">${skeletons}</div>`
+    );
   }
 
   showLoadingState() {
@@ -144,302 +762,648 @@ export class FacebookFeedWidget {
     }
   }
 
-  filterPosts(posts) {
-    if (!posts || posts.length === 0) return [];
+  hideLoadingState() {
+    const loadingIndicator = this.element.querySelector(".securent-fb-loading");
+    if (loadingIndicator) {
+      loadingIndicator.style.display = "none";
+    }
+  }
 
-    return posts.filter((post) => {
-      // Keyword filtering (date filtering now handled server-side)
-      if (this.filterKeywords && this.filterKeywords.length > 0) {
-        const message = (post.message || "").toLowerCase();
-        const hasKeyword = this.filterKeywords.some((keyword) =>
-          message.includes(keyword)
-        );
+  /**
+   * Format a Date object to YYYY-MM-DD string for API, as the calendar
+   * date in the widget's time zone
+   */
+  formatDateForApi(date) {
+    return formatIsoDate(date, this.options.timezone);
+  }
 
-        if (!hasKeyword) {
-          return false;
-        }
+  /**
+   * Parse the start of the date window. Plain dates are days in the
+   * widget's time zone, not the browser's.
+   * @param {string} value - e.g. "2025-11-15"; empty for the default
+   * @returns {Date} - Defaults to 1970-01-01
+   */
+  parseStartDate(value) {
+    const defaultDate = parseDateInZone("1970-01-01", this.options.timezone);
+    if (!value) return defaultDate;
+
+    const date = parseDateInZone(value, this.options.timezone);
+    if (isNaN(date.getTime())) {
+      console.warn("Invalid start date provided, using default (1970-01-01)");
+      return defaultDate;
+    }
+
+    return date;
+  }
+
+  /**
+   * Parse the end of the date window
+   * @param {string} value - e.g. "2025-12-31"; empty for the default
+   * @returns {Date|null} - null for the default, tomorrow as of each request
+   */
+  parseEndDate(value) {
+    if (!value) return null;
+
+    const date = parseDateInZone(value, this.options.timezone);
+    if (isNaN(date.getTime())) {
+      console.warn("Invalid end date provided, using default (tomorrow)");
+      return null;
+    }
+
+    return date;
+  }
+
+  /**
+   * Parse the sources option given as an array or a JSON string
+   * (e.g. from data-sources). Each source needs a `url`; `label`, `colour`
+   * and `format` are optional.
+   * @param {Array|string} sources
+   * @returns {Array<Object>|null} - Null for a single apiUrl feed
+   */
+  parseSources(sources) {
+    if (!sources) return null;
+
+    let list = sources;
+    if (typeof sources === "string") {
+      try {
+        list = JSON.parse(sources);
+      } catch (error) {
+        console.error("Invalid sources JSON, using apiUrl:", error);
+        return null;
       }
+    }
 
-      return true;
-    });
+    if (!Array.isArray(list)) {
+      console.error("Sources must be an array, using apiUrl");
+      return null;
+    }
+
+    const parsed = list
+      .filter((source) => {
+        if (source && source.url) return true;
+        console.warn("Ignoring source without a url:", source);
+        return false;
+      })
+      .map((source, index) => ({
+        id: source.id || `source-${index + 1}`,
+        label: source.label || source.url,
+        colour: this.parseColour(source.colour || source.color),
+        url: source.url,
+        format: source.format || null,
+      }));
+
+    return parsed.length > 0 ? parsed : null;
   }
 
   /**
-   * Format a Date object to YYYY-MM-DD string for API
+   * Accept any CSS colour, ignoring values that could break out of the
+   * style attribute
+   * @param {string} colour
+   * @returns {string|null}
    */
-  formatDateForApi(date) {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, "0");
-    const day = String(date.getDate()).padStart(2, "0");
-    return `${year}-${month}-${day}`;
+  parseColour(colour) {
+    if (!colour) return null;
+    if (CSS.supports("color", colour) && !/[;"'<>]/.test(colour)) {
+      return colour;
+    }
+
+    console.warn(`Invalid source colour "${colour}" ignored`);
+    return null;
+  }
+
+  /**
+   * Cache and request settings for fetchFeed()
+   * @param {boolean} force - Request even if the API's circuit breaker is
+   *   open (see api.js)
+   * @returns {Object}
+   */
+  getFetchOptions(force = false) {
+    return {
+      cacheMaxAge: this.options.cacheMaxAge,
+      requestTimeout: this.options.requestTimeout,
+      retries: this.options.retries,
+      retryDelay: this.options.retryDelay,
+      force,
+    };
+  }
+
+  /**
+   * The request for each source (or the single apiUrl feed)
+   * @returns {Array<Object>} - `{ source, url, cacheKey, format }`
+   */
+  getSourceRequests() {
+    if (!this.sources) {
+      return [
+        {
+          source: { id: "default", label: null, colour: null },
+          url: this.buildApiUrl(),
+          cacheKey: this.buildApiUrl(this.options.apiUrl, true),
+          format: this.options.sourceFormat,
+        },
+      ];
+    }
+
+    return this.sources.map((source) => ({
+      source: { id: source.id, label: source.label, colour: source.colour },
+      url: this.buildApiUrl(source.url),
+      cacheKey: this.buildApiUrl(source.url, true),
+      format: source.format || this.options.sourceFormat,
+    }));
   }
 
   /**
    * Build API URL with required query parameters (since, until, limit)
+   * @param {string} baseUrl - Endpoint (defaults to the apiUrl option)
+   * @param {boolean} forCache - Build the cache key instead: the default
+   *   `until` (tomorrow) is left out, so the entry is still found offline
+   *   after the date changes
    */
-  buildApiUrl() {
-    const baseUrl = this.options.apiUrl;
+  buildApiUrl(baseUrl = this.options.apiUrl, forCache = false) {
     const separator = baseUrl.includes("?") ? "&" : "?";
 
     const since = encodeURIComponent(this.formatDateForApi(this.startDate));
-    const until = encodeURIComponent(this.formatDateForApi(this.endDate));
+    const until = encodeURIComponent(
+      this.formatDateForApi(this.endDate || new Date(Date.now() + 86400000))
+    );
     const limit = 100; // Hardcoded to fetch maximum posts from API
 
+    if (forCache && !this.endDate) {
+      return `${baseUrl}${separator}since=${since}&limit=${limit}`;
+    }
+
     return `${baseUrl}${separator}since=${since}&until=${until}&limit=${limit}`;
   }
 
-  showError() {
-    const cached = getCachedFeed();
+  async showError() {
+    const cached = await getCachedSources(
+      this.getSourceRequests(),
+      this.getFetchOptions()
+    );
+    if (this.destroyed) return;
 
     if (cached) {
-      this.posts = this.filterPosts(cached.data);
+      this.setPosts(cached.data);
+      this.nextPageUrl = this.getNextPageUrl(cached.paging);
       this.fromCache = true;
       this.cacheTimestamp = cached.timestamp;
       this.currentPage = 1;
       this.render();
+      this.reportDiagnostics(cached.diagnostics);
+      this.emit("cache-fallback", { timestamp: cached.timestamp });
+      this.emit("loaded", {
+        postCount: this.posts.length,
+        fromCache: true,
+        timestamp: cached.timestamp,
+        isRefresh: false,
+      });
     } else {
       const fallbackMsg =
-        this.options.fallbackMessage || "Unable to load posts at this time.";
-      this.element.innerHTML = `
-        <div class="securent-fb-error">
+        this.options.fallbackMessage || this.i18n.t("fallbackMessage");
+      this.element.innerHTML = trustedHtml(`
+        <div class="securent-fb-error" part="error">
           <p>${this.escapeHtml(fallbackMsg)}</p>
-          <p><a href="${
+          <p><a href="${this.escapeAttribute(
             this.options.fallbackUrl
-          }" target="_blank" rel="noopener noreferrer">Visit SecureNT on Facebook</a></p>
+          )}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(
+        this.i18n.t("fallbackLink")
+      )}</a></p>
         </div>
-      `;
+      `);
     }
   }
 
   render() {
-    const start = (this.currentPage - 1) * this.options.itemsPerPage;
-    const end = start + this.options.itemsPerPage;
-    const pagePosts = this.posts.slice(start, end);
-    const totalPages = Math.ceil(this.posts.length / this.options.itemsPerPage);
+    const html = this.renderFeed();
 
-    let html = "";
+    this.element.innerHTML = trustedHtml(html);
+    this.attachEventListeners();
+    this.applyCompactCardLogic();
+    this.emitRender();
 
-    // Cache notice
-    if (this.fromCache) {
-      html += createCacheNotice(this.cacheTimestamp);
+    if (this.pendingUrlState) {
+      const state = this.pendingUrlState;
+      this.pendingUrlState = null;
+      this.restoreUrlState(state);
+    } else {
+      this.writeUrlState();
     }
+  }
 
-    // Header with refresh button
-    html += this.renderHeader();
+  /**
+   * Replace the load-more controls after posts have been appended
+   */
+  updateMoreControls() {
+    const results = this.element.querySelector(".securent-fb-results");
+    if (!results) return;
 
-    // Posts
-    html += '<div class="securent-fb-feed">';
-    pagePosts.forEach((post) => {
-      html += this.renderPost(post);
-    });
-    html += "</div>";
+    const more = results.querySelector(".securent-fb-more");
+    if (more) more.remove();
+
+    results.insertAdjacentHTML(
+      "beforeend",
+      trustedHtml(this.renderMoreControls())
+    );
+    this.attachMoreListeners();
+  }
+
+  /**
+   * Show the next `itemsPerPage` posts below the current ones (load-more and
+   * infinite modes). New cards are appended rather than re-rendered, so
+   * expanded compact cards stay expanded. Only whole pages are appended
+   * while the API has more, so `currentPage * itemsPerPage` is always the
+   * number of posts shown.
+   */
+  async showMore() {
+    if (this.isShowingMore) return;
+
+    this.isShowingMore = true;
+    const perPage = this.options.itemsPerPage;
+    const shown = this.currentPage * perPage;
+
+    try {
+      const needsFetch = () =>
+        this.getVisiblePosts().length < shown + perPage && !!this.nextPageUrl;
+
+      // Fetch further API pages when the local posts don't fill a page
+      if (needsFetch()) {
+        const more = this.element.querySelector(".securent-fb-more");
+        if (more) {
+          more.innerHTML = trustedHtml(`<div class="securent-fb-loading-more" role="status">
+            <div class="securent-fb-spinner"></div>
+            <span>${this.escapeHtml(this.i18n.t("loadingMore"))}</span>
+          </div>`);
+        }
+        await this.loadMorePosts(shown + perPage);
+        if (this.destroyed) return;
+
+        // Failed (or another load is running): wait for the reader to retry
+        // rather than append a partial page
+        if (needsFetch()) {
+          this.updateMoreControls();
+          return;
+        }
+      }
+
+      const newPosts = this.getVisiblePosts().slice(shown, shown + perPage);
+      const cards = this.appendPosts(newPosts);
+      const previousPage = this.currentPage;
+      if (newPosts.length > 0) this.currentPage++;
+
+      this.updateMoreControls();
+
+      if (cards.length === 0) return;
+
+      this.announceShown(shown + 1, shown + cards.length);
+      this.writeUrlState();
 
-    // Pagination
-    if (totalPages > 1) {
-      html += this.renderPagination(totalPages);
+      // The button that had focus has been replaced
+      if (this.options.pagination === "load-more") {
+        cards[0].setAttribute("tabindex", "-1");
+        cards[0].focus({ preventScroll: true });
+      }
+
+      this.emit("page-change", {
+        page: this.currentPage,
+        previousPage,
+        totalPages: this.getTotalPages(),
+      });
+      this.emitRender();
+    } finally {
+      this.isShowingMore = false;
     }
+  }
 
-    this.element.innerHTML = html;
-    this.attachEventListeners();
+  /**
+   * Append rendered posts to the feed
+   * @param {Array<Object>} posts
+   * @returns {Array<HTMLElement>} - The new post elements
+   */
+  appendPosts(posts) {
+    const feed = this.element.querySelector(
+      ".securent-fb-results .securent-fb-feed"
+    );
+    if (!feed || posts.length === 0) return [];
+
+    const template = document.createElement("template");
+    template.innerHTML = trustedHtml(
+      posts.map((post) => this.renderPostSafely(post)).join("")
+    );
+
+    const cards = Array.from(template.content.children);
+    feed.appendChild(template.content);
+    this.applyCompactCardLogic(cards);
+
+    return cards;
+  }
+
+  /**
+   * Announce newly shown posts through the pagination live region
+   * @param {number} start - 1-based index of the first new post
+   * @param {number} end - 1-based index of the last new post
+   */
+  announceShown(start, end) {
+    const status = this.element.querySelector(".securent-fb-page-status");
+    if (!status) return;
+
+    status.textContent = this.i18n.t("showingPosts", { start, end });
+  }
+
+  /**
+   * Re-render only the posts and pagination, leaving the header in place
+   */
+  updateResults() {
+    const results = this.element.querySelector(".securent-fb-results");
+    if (!results) return;
+
+    results.innerHTML = trustedHtml(this.renderResults());
+    this.attachPaginationListeners();
     this.applyCompactCardLogic();
+    this.emitRender();
+    this.writeUrlState();
   }
 
-  renderHeader() {
-    const contentHtml = this.options.content
-      ? `<div class="securent-fb-header-content">${this.options.content}</div>`
-      : "";
-
-    const lastUpdatedHtml = this.lastUpdated
-      ? `<div class="securent-fb-last-updated">Last updated: ${this.formatAbsoluteTime(
-          this.lastUpdated
-        )}</div>`
-      : "";
-
-    return `
-      <div class="securent-fb-header">
-        <div class="securent-fb-header-top">
-          <h2>${this.escapeHtml(this.options.title)}</h2>
-          <button class="securent-fb-refresh" aria-label="Refresh posts" title="Refresh posts">
-            <svg class="securent-fb-icon-refresh" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-              <polyline points="23 4 23 10 17 10"></polyline>
-              <polyline points="1 20 1 14 7 14"></polyline>
-              <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"></path>
-            </svg>
-            Refresh
-          </button>
-        </div>
-        ${lastUpdatedHtml}
-        ${contentHtml}
-      </div>
-      <div class="securent-fb-loading" style="display: none;">
-        <div class="securent-fb-spinner"></div>
-        <span>Refreshing...</span>
-      </div>
-    `;
-  }
-
-  renderPost(post) {
-    const timestamp = new Date(post.created_time);
-    const relativeTime = this.getRelativeTime(timestamp);
-    const formattedTime = this.formatAbsoluteTime(timestamp);
-    const message = this.formatMessage(post.message || "");
-    const attachments = post.attachments
-      ? this.renderAttachments(post.attachments.data)
-      : "";
-
-    const isCompact = this.options.cardSize === "compact";
-    const compactClass = isCompact ? " securent-fb-post-compact" : "";
-
-    return `
-      <article class="securent-fb-post${compactClass}">
-        <time class="securent-fb-timestamp" datetime="${post.created_time}" title="${formattedTime}">
-          ${relativeTime}
-        </time>
-        <div class="securent-fb-message">${message}</div>
-        ${attachments}
-      </article>
-    `;
-  }
-
-  formatMessage(message) {
-    // First escape HTML
-    let formatted = message
-      .replace(/&/g, "&amp;")
-      .replace(/</g, "&lt;")
-      .replace(/>/g, "&gt;")
-      .replace(/"/g, "&quot;")
-      .replace(/'/g, "&#039;");
-
-    // Convert URLs with protocols to clickable links
-    const urlRegex = /(https?:\/\/[^\s<]+)/g;
-    formatted = formatted.replace(urlRegex, (url) => {
-      return `<a href="${url}" target="_blank" rel="noopener noreferrer" class="securent-fb-link">${url}</a>`;
+  emitRender() {
+    this.emit("render", {
+      page: this.currentPage,
+      totalPages: this.getTotalPages(),
+      postCount: this.getVisiblePosts().length,
     });
+  }
 
-    // Convert www. URLs without protocol to clickable links
-    const wwwRegex = /(^|[^\/])(www\.[^\s<]+)/g;
-    formatted = formatted.replace(wwwRegex, (match, prefix, url) => {
-      return `${prefix}<a href="https://${url}" target="_blank" rel="noopener noreferrer" class="securent-fb-link">${url}</a>`;
-    });
+  /**
+   * Link that reopens this page with the post's page shown and the post
+   * expanded
+   * @param {string} postId
+   * @returns {string}
+   */
+  getPostLink(postId) {
+    const url = new URL(window.location.href);
+    url.searchParams.delete(this.getUrlParam("page"));
+    url.searchParams.delete(this.getUrlParam("q"));
+    url.searchParams.set(this.getUrlParam("post"), postId);
+    url.hash = this.getPostAnchor({ id: postId });
+    return url.href;
+  }
 
-    // Convert newlines to <br> tags
-    formatted = formatted.replace(/\n/g, "<br>");
-
-    return formatted;
-  }
-
-  renderAttachments(attachments) {
-    if (!attachments || attachments.length === 0) return "";
-
-    const links = attachments
-      .map((att) => {
-        if (att.unshimmed_url && att.title) {
-          return `
-          <a href="${this.escapeHtml(att.unshimmed_url)}" 
-             class="securent-fb-attachment" 
-             target="_blank" 
-             rel="noopener noreferrer">
-            ${this.escapeHtml(att.title)}
-            <svg class="securent-fb-icon-external" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-              <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"></path>
-              <polyline points="15 3 21 3 21 9"></polyline>
-              <line x1="10" y1="14" x2="21" y2="3"></line>
-            </svg>
-          </a>
-        `;
-        }
-        return "";
-      })
-      .filter((link) => link)
-      .join("");
+  /**
+   * Find the <template> named by the `template` option
+   * @param {string} selector - CSS selector or element id
+   * @returns {HTMLTemplateElement|null}
+   */
+  findTemplate(selector) {
+    let template = null;
+    try {
+      template = document.querySelector(selector);
+    } catch (error) {
+      // Not a valid selector - try it as an id below
+    }
+    template = template || document.getElementById(selector);
 
-    return links ? `<div class="securent-fb-attachments">${links}</div>` : "";
+    if (!(template instanceof HTMLTemplateElement)) {
+      console.warn(
+        `Post template "${selector}" not found or not a <template>, using the default layout`
+      );
+      return null;
+    }
+
+    return template;
   }
 
-  renderPagination(totalPages) {
-    const prevDisabled = this.currentPage === 1;
-    const nextDisabled = this.currentPage === totalPages;
+  /**
+   * Fill the `data-slot` placeholders of the post template.
+   * Supported slots: timestamp, absolute-time, headline, message,
+   * attachments, permalink.
+   * @param {Object} post - Post from the API
+   * @param {Object} parts - Result of getPostParts()
+   * @returns {string} - HTML string
+   */
+  renderPostTemplate(post, parts) {
+    const container = document.createElement("div");
+    container.appendChild(this.postTemplate.content.cloneNode(true));
+
+    container.querySelectorAll("[data-slot]").forEach((slot) => {
+      const name = slot.getAttribute("data-slot");
+
+      switch (name) {
+        case "timestamp":
+          slot.textContent = parts.relativeTime;
+          slot.setAttribute("title", parts.absoluteTime);
+          if (slot.tagName === "TIME") {
+            slot.setAttribute("datetime", post.created_time || "");
+          }
+          break;
+        case "absolute-time":
+          slot.textContent = parts.absoluteTime;
+          break;
+        case "headline":
+        case "message":
+        case "attachments":
+        case "sources":
+          // Already escaped by getPostParts()
+          slot.innerHTML = trustedHtml(parts[name]);
+          break;
+        case "permalink": {
+          const link =
+            slot.tagName === "A" ? slot : document.createElement("a");
+          link.setAttribute("href", this.getPermalink(post));
+          link.setAttribute("target", "_blank");
+          link.setAttribute("rel", "noopener noreferrer");
+          if (link !== slot) {
+            link.textContent = this.i18n.t("viewOnFacebook");
+            slot.replaceChildren(link);
+          }
+          break;
+        }
+        case "copy-link": {
+          const button = document.createElement("button");
+          button.type = "button";
+          button.className = "securent-fb-copy-link";
+          button.textContent = this.i18n.t("copyLink");
+          slot.replaceChildren(button);
+          break;
+        }
+      }
+    });
+
+    return container.innerHTML;
+  }
 
-    // Generate page number links (show up to 5 pages)
-    let pageLinks = "";
-    const maxVisiblePages = 5;
-    let startPage = Math.max(
-      1,
-      this.currentPage - Math.floor(maxVisiblePages / 2)
+  /**
+   * Open the lightbox with every image in the clicked photo or album
+   */
+  handleLightboxClick(e) {
+    const trigger = e.target.closest("[data-lightbox-index]");
+    if (!trigger || !this.element.contains(trigger)) return;
+
+    const group = trigger.closest(".securent-fb-media");
+    const items = Array.from(
+      group.querySelectorAll("[data-lightbox-index] img")
+    ).map((img) => ({ src: img.src, alt: img.alt }));
+
+    openLightbox(
+      items,
+      parseInt(trigger.getAttribute("data-lightbox-index")),
+      trigger,
+      this.i18n,
+      this.getOverlayContainer(),
+      this
     );
-    let endPage = Math.min(totalPages, startPage + maxVisiblePages - 1);
+  }
 
-    // Adjust startPage if we're near the end
-    if (endPage - startPage < maxVisiblePages - 1) {
-      startPage = Math.max(1, endPage - maxVisiblePages + 1);
-    }
+  /**
+   * Where overlays are attached: inside the shadow root for
+   * <securent-fb-feed>, so they pick up its styles, otherwise the body
+   * @returns {Node}
+   */
+  getOverlayContainer() {
+    const root = this.element.getRootNode();
+    return root instanceof ShadowRoot ? root : document.body;
+  }
+
+  /**
+   * Copy a link to the clicked post. Any `.securent-fb-copy-link` inside a
+   * post works, including ones in custom layouts.
+   */
+  async handleCopyLinkClick(e) {
+    const button = e.target.closest(".securent-fb-copy-link");
+    if (!button || !this.element.contains(button)) return;
+
+    const article = button.closest("[data-post-id]");
+    if (!article) return;
+
+    const link = this.getPostLink(article.getAttribute("data-post-id"));
 
-    for (let i = startPage; i <= endPage; i++) {
-      const isActive = i === this.currentPage;
-      pageLinks += `<li class="page-item ${
-        isActive ? "active" : ""
-      }"><a class="page-link" href="javascript:void(0)" data-page="${i}">${i}</a></li>`;
+    try {
+      await navigator.clipboard.writeText(link);
+    } catch (error) {
+      // Clipboard unavailable (e.g. not HTTPS); let the reader copy it
+      window.prompt(this.i18n.t("copyLinkPrompt"), link);
+      return;
     }
 
-    return `
-      <nav aria-label="navigation" class="pb-5 mb-15">
-        <ul class="pagination justify-content-center">
-          <li class="page-item ${prevDisabled ? "disabled" : ""}">
-            <a class="page-link securent-fb-btn-prev" href="javascript:void(0)" tabindex="${
-              prevDisabled ? "-1" : ""
-            }" aria-disabled="${prevDisabled}">Previous</a>
-          </li>
-          ${pageLinks}
-          <li class="page-item ${nextDisabled ? "disabled" : ""}">
-            <a class="page-link securent-fb-btn-next" href="javascript:void(0)" tabindex="${
-              nextDisabled ? "-1" : ""
-            }" aria-disabled="${nextDisabled}">Next</a>
-          </li>
-        </ul>
-      </nav>
-    `;
+    const status = this.element.querySelector(".securent-fb-page-status");
+    if (status) status.textContent = this.i18n.t("linkCopied");
+
+    button.textContent = this.i18n.t("linkCopied");
+    setTimeout(() => {
+      button.textContent = this.i18n.t("copyLink");
+    }, 2000);
   }
 
-  getRelativeTime(date) {
-    const now = new Date();
-    const diffMs = now - date;
-    const diffMins = Math.floor(diffMs / 60000);
-    const diffHours = Math.floor(diffMs / 3600000);
-    const diffDays = Math.floor(diffMs / 86400000);
+  /**
+   * Name of one of this widget's URL parameters
+   * @param {string} name - "page", "q" or "post"
+   * @returns {string} - e.g. "fb1-page"
+   */
+  getUrlParam(name) {
+    return `${this.urlKey}-${name}`;
+  }
 
-    if (diffMins < 1) return "just now";
-    if (diffMins < 60)
-      return `${diffMins} minute${diffMins !== 1 ? "s" : ""} ago`;
-    if (diffHours < 24)
-      return `${diffHours} hour${diffHours !== 1 ? "s" : ""} ago`;
-    if (diffDays < 7) return `${diffDays} day${diffDays !== 1 ? "s" : ""} ago`;
+  /**
+   * Read this widget's state from the query string
+   * @returns {Object} - `{ page, search, postId }`
+   */
+  readUrlState() {
+    const params = new URLSearchParams(window.location.search);
 
-    // More than 7 days, show absolute date
-    return this.formatShortDate(date);
+    return {
+      page: Math.max(1, parseInt(params.get(this.getUrlParam("page"))) || 1),
+      search: (params.get(this.getUrlParam("q")) || "").trim(),
+      postId: params.get(this.getUrlParam("post")) || null,
+    };
   }
 
-  formatAbsoluteTime(date) {
-    const day = String(date.getDate()).padStart(2, "0");
-    const month = String(date.getMonth() + 1).padStart(2, "0");
-    const year = date.getFullYear();
-    const hours = String(date.getHours()).padStart(2, "0");
-    const minutes = String(date.getMinutes()).padStart(2, "0");
+  /**
+   * Write the current page, search term and expanded post to the query
+   * string. Defaults are left out so untouched widgets don't change the URL.
+   * @param {boolean} push - Add a history entry instead of replacing
+   */
+  writeUrlState(push = false) {
+    if (!this.options.deepLink || this.pendingUrlState) return;
+
+    const url = new URL(window.location.href);
+    const values = {
+      page: this.currentPage > 1 ? String(this.currentPage) : null,
+      q: this.searchTerm || null,
+      post: this.expandedPostId,
+    };
 
-    return `${day}/${month}/${year} ${hours}:${minutes}`;
+    Object.keys(values).forEach((name) => {
+      if (values[name]) {
+        url.searchParams.set(this.getUrlParam(name), values[name]);
+      } else {
+        url.searchParams.delete(this.getUrlParam(name));
+      }
+    });
+
+    if (url.href === window.location.href) return;
+
+    if (push) {
+      window.history.pushState(window.history.state, "", url.href);
+    } else {
+      window.history.replaceState(window.history.state, "", url.href);
+    }
   }
 
-  formatShortDate(date) {
-    const day = String(date.getDate()).padStart(2, "0");
-    const month = String(date.getMonth() + 1).padStart(2, "0");
-    const year = date.getFullYear();
+  /**
+   * Show the page, search and expanded post from a shared link. A linked
+   * post decides the page, and is scrolled to and focused.
+   * @param {Object} state - From readUrlState()
+   */
+  async restoreUrlState(state) {
+    let page = state.page;
+
+    if (state.postId) {
+      // A post in an update thread is on its thread's page
+      const index = this.getVisiblePosts().findIndex((post) =>
+        [post]
+          .concat(post.thread || [])
+          .some((update) => String(update.id) === state.postId)
+      );
+      if (index !== -1) {
+        page = Math.floor(index / this.options.itemsPerPage) + 1;
+      }
+    }
+
+    await this.applyUrlState({ ...state, page });
+    if (this.destroyed) return;
 
-    return `${day}/${month}/${year}`;
+    const article = state.postId
+      ? this.element.querySelector(
+          `#${CSS.escape(this.getPostAnchor({ id: state.postId }))}`
+        )
+      : null;
+
+    if (article) {
+      const thread = article.closest(".securent-fb-thread");
+      if (thread) thread.open = true;
+
+      article.setAttribute("tabindex", "-1");
+      article.focus({ preventScroll: true });
+      article.scrollIntoView({ behavior: "smooth", block: "start" });
+    }
   }
 
-  escapeHtml(text) {
-    const div = document.createElement("div");
-    div.textContent = text;
-    return div.innerHTML;
+  /**
+   * Apply URL state without adding history entries (initial load and
+   * back/forward navigation)
+   * @param {Object} state - `{ page, search, postId }`
+   */
+  async applyUrlState(state) {
+    this.searchTerm = state.search;
+    this.expandedPostId = state.postId;
+
+    const searchInput = this.element.querySelector(".securent-fb-search-input");
+    if (searchInput) searchInput.value = this.searchTerm;
+
+    // Fetch further API pages if the link points past the posts held
+    if (state.page > this.getTotalPages() && this.nextPageUrl) {
+      await this.loadMorePosts(state.page * this.options.itemsPerPage);
+      if (this.destroyed) return;
+    }
+
+    this.currentPage = Math.min(state.page, Math.max(1, this.getTotalPages()));
+    this.updateResults();
   }
 
   attachEventListeners() {
@@ -449,10 +1413,31 @@ export class FacebookFeedWidget {
       refreshBtn.addEventListener("click", () => this.loadFeed(true));
     }
 
+    // "New posts" banner
+    this.attachNewPostsListener();
+
+    // Reader search box (debounced)
+    const searchInput = this.element.querySelector(".securent-fb-search-input");
+    if (searchInput) {
+      // Set via the DOM so the term never needs attribute escaping
+      searchInput.value = this.searchTerm;
+      searchInput.addEventListener("input", () => {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(
+          () => this.search(searchInput.value),
+          SEARCH_DEBOUNCE
+        );
+      });
+    }
+
+    this.attachPaginationListeners();
+  }
+
+  attachPaginationListeners() {
     // Pagination buttons
     const prevBtn = this.element.querySelector(".securent-fb-btn-prev");
     const nextBtn = this.element.querySelector(".securent-fb-btn-next");
-    const pageLinks = this.element.querySelectorAll(".page-link[data-page]");
+    const pageButtons = this.element.querySelectorAll(".page-link[data-page]");
 
     if (prevBtn) {
       prevBtn.addEventListener("click", () =>
@@ -466,21 +1451,139 @@ export class FacebookFeedWidget {
       );
     }
 
-    // Page number links
-    pageLinks.forEach((link) => {
-      link.addEventListener("click", (e) => {
-        const page = parseInt(e.target.getAttribute("data-page"));
-        this.goToPage(page);
+    // Page number buttons
+    pageButtons.forEach((button) => {
+      button.addEventListener("click", () => {
+        const page = parseInt(button.getAttribute("data-page"));
+        if (page !== this.currentPage) this.goToPage(page);
       });
     });
+
+    const pagination = this.element.querySelector(".securent-fb-results nav");
+    if (pagination) {
+      pagination.addEventListener("keydown", (e) =>
+        this.handlePaginationKeydown(e, pagination)
+      );
+    }
+
+    this.attachMoreListeners();
   }
 
-  applyCompactCardLogic() {
-    if (this.options.cardSize !== "compact") return;
+  /**
+   * Wire up the "Load more" button or watch the infinite-scroll sentinel
+   */
+  attachMoreListeners() {
+    const moreBtn = this.element.querySelector(".securent-fb-btn-more");
+    if (moreBtn) {
+      moreBtn.addEventListener("click", () => this.showMore());
+    }
+
+    const sentinel = this.element.querySelector(".securent-fb-sentinel");
+    if (sentinel) {
+      this.setupInfiniteScroll(sentinel);
+    } else if (this.moreObserver) {
+      this.moreObserver.disconnect();
+    }
+  }
 
-    const compactCards = this.element.querySelectorAll(
-      ".securent-fb-post-compact"
+  /**
+   * Show more posts whenever the sentinel below the feed scrolls into view
+   * @param {HTMLElement} sentinel
+   */
+  setupInfiniteScroll(sentinel) {
+    if (!this.moreObserver) {
+      this.moreObserver = new IntersectionObserver(
+        (entries) => {
+          entries.forEach((entry) => {
+            if (entry.isIntersecting && !this.isShowingMore) {
+              this.showMore();
+            }
+          });
+        },
+        {
+          rootMargin: "200px",
+          threshold: 0,
+        }
+      );
+    }
+
+    // Only the current sentinel is watched; a new one is observed (and
+    // checked straight away) each time the controls are replaced
+    this.moreObserver.disconnect();
+    this.moreObserver.observe(sentinel);
+  }
+
+  /**
+   * Arrow keys move focus between pagination buttons; Home and End jump to
+   * the first and last button
+   * @param {KeyboardEvent} e
+   * @param {HTMLElement} pagination - The pagination <nav>
+   */
+  handlePaginationKeydown(e, pagination) {
+    const buttons = Array.from(
+      pagination.querySelectorAll("button:not([disabled])")
     );
+    const index = buttons.indexOf(this.element.getRootNode().activeElement);
+    if (index === -1) return;
+
+    let target = null;
+    if (e.key === "ArrowLeft") target = buttons[index - 1];
+    else if (e.key === "ArrowRight") target = buttons[index + 1];
+    else if (e.key === "Home") target = buttons[0];
+    else if (e.key === "End") target = buttons[buttons.length - 1];
+    else return;
+
+    e.preventDefault();
+    if (target) target.focus();
+  }
+
+  /**
+   * Announce the current page through the pagination live region
+   */
+  announcePage() {
+    const status = this.element.querySelector(".securent-fb-page-status");
+    if (!status) return;
+
+    const total = this.getVisiblePosts().length;
+    const start = (this.currentPage - 1) * this.options.itemsPerPage + 1;
+    const end = Math.min(start + this.options.itemsPerPage - 1, total);
+
+    status.textContent = this.i18n.t("pageStatus", {
+      page: this.currentPage,
+      totalPages: this.getTotalPages(),
+      start,
+      end,
+    });
+  }
+
+  /**
+   * Move focus to the first post on the page, or the widget heading when
+   * there are no posts, so keyboard users don't lose their place
+   */
+  focusResults() {
+    const target =
+      this.element.querySelector(".securent-fb-results .securent-fb-post") ||
+      this.element.querySelector(".securent-fb-header h2");
+    if (!target) return;
+
+    target.setAttribute("tabindex", "-1");
+    target.focus({ preventScroll: true });
+  }
+
+  /**
+   * Add "See more" toggles to tall compact cards
+   * @param {Array<HTMLElement>} cards - Cards to process (defaults to every
+   *   card in the widget); appended cards are passed so existing cards
+   *   aren't processed twice
+   */
+  applyCompactCardLogic(cards = null) {
+    if (this.options.cardSize !== "compact") return;
+
+    const compactCards = cards
+      ? cards.filter((card) =>
+          card.classList.contains("securent-fb-post-compact")
+        )
+      : this.element.querySelectorAll(".securent-fb-post-compact");
     compactCards.forEach((card) => {
       // Temporarily remove height restriction to measure full content height
       const originalMaxHeight = card.style.maxHeight;
@@ -495,16 +1598,31 @@ export class FacebookFeedWidget {
         const seeMoreLink = document.createElement("a");
         seeMoreLink.href = "#";
         seeMoreLink.className = "securent-fb-see-more";
-        seeMoreLink.textContent = "See more";
+        seeMoreLink.textContent = this.i18n.t("seeMore");
+
+        // Keep a linked or previously expanded post open
+        const postId = card.getAttribute("data-post-id");
+        if (postId && postId === this.expandedPostId) {
+          card.classList.add("securent-fb-post-expanded");
+          seeMoreLink.textContent = this.i18n.t("seeLess");
+        }
 
         seeMoreLink.addEventListener("click", (e) => {
           e.preventDefault();
           card.classList.toggle("securent-fb-post-expanded");
-          seeMoreLink.textContent = card.classList.contains(
+          const isExpanded = card.classList.contains(
             "securent-fb-post-expanded"
-          )
-            ? "See less"
-            : "See more";
+          );
+          seeMoreLink.textContent = isExpanded
+            ? this.i18n.t("seeLess")
+            : this.i18n.t("seeMore");
+
+          if (isExpanded) {
+            this.expandedPostId = postId;
+          } else if (this.expandedPostId === postId) {
+            this.expandedPostId = null;
+          }
+          this.writeUrlState();
         });
 
         card.appendChild(seeMoreLink);
@@ -515,22 +1633,125 @@ export class FacebookFeedWidget {
     });
   }
 
-  goToPage(page) {
-    const totalPages = Math.ceil(this.posts.length / this.options.itemsPerPage);
+  async goToPage(page) {
+    // Fetch further API pages when moving past the last page held locally
+    const needsMore = page > this.getTotalPages() && !!this.nextPageUrl;
+    if (needsMore) {
+      await this.loadMorePosts(page * this.options.itemsPerPage);
+      if (this.destroyed) return;
+    }
 
-    if (page < 1 || page > totalPages) return;
+    const totalPages = this.getTotalPages();
 
+    if (page < 1 || page > totalPages) {
+      // Refresh the controls if further pages turned out to be empty
+      if (needsMore) this.updateResults();
+      return;
+    }
+
+    const previousPage = this.currentPage;
     this.currentPage = page;
-    this.render();
+
+    // New history entry so back/forward moves between pages
+    this.writeUrlState(true);
+
+    // Only the results are replaced, so the header and live region persist
+    this.updateResults();
+    this.announcePage();
+    this.focusResults();
+    this.emit("page-change", { page, previousPage, totalPages });
 
     // Scroll to top of widget
     this.element.scrollIntoView({ behavior: "smooth", block: "start" });
   }
 
+  /**
+   * Log a diagnostic and dispatch it as a `diagnostic` event, so sites can
+   * pass bad records from the proxy to their own monitoring
+   * @param {Object} diagnostic - `{ action, postId, index, field, reason,
+   *   source }`
+   */
+  handleDiagnostic(diagnostic) {
+    super.handleDiagnostic(diagnostic);
+    this.emit("diagnostic", diagnostic);
+  }
+
+  /**
+   * Dispatch a namespaced lifecycle event on the widget element
+   * @param {string} name - Event name without prefix, e.g. "loaded"
+   * @param {Object} detail - Event payload
+   */
+  emit(name, detail = {}) {
+    this.element.dispatchEvent(
+      new CustomEvent(`${EVENT_PREFIX}${name}`, {
+        detail: { widget: this, ...detail },
+        bubbles: true,
+        // Reach listeners outside a <securent-fb-feed> shadow root
+        composed: true,
+      })
+    );
+  }
+
+  /**
+   * Listen for a lifecycle event
+   * @param {string} name - Event name, with or without the "securent-fb:" prefix
+   * @param {Function} handler - Receives the CustomEvent
+   * @returns {FacebookFeedWidget} - The widget, for chaining
+   */
+  on(name, handler) {
+    this.element.addEventListener(this.getEventName(name), handler);
+    return this;
+  }
+
+  /**
+   * Stop listening for a lifecycle event
+   * @param {string} name - Event name, with or without the "securent-fb:" prefix
+   * @param {Function} handler - Handler passed to on()
+   * @returns {FacebookFeedWidget} - The widget, for chaining
+   */
+  off(name, handler) {
+    this.element.removeEventListener(this.getEventName(name), handler);
+    return this;
+  }
+
+  getEventName(name) {
+    return name.startsWith(EVENT_PREFIX) ? name : `${EVENT_PREFIX}${name}`;
+  }
+
   destroy() {
+    this.destroyed = true;
+
     if (this.observer) {
       this.observer.disconnect();
     }
-    this.element.innerHTML = "";
+    if (this.moreObserver) {
+      this.moreObserver.disconnect();
+    }
+    clearTimeout(this.refreshTimer);
+    clearTimeout(this.searchTimer);
+    if (this.handleVisibilityChange) {
+      document.removeEventListener(
+        "visibilitychange",
+        this.handleVisibilityChange
+      );
+      this.handleVisibilityChange = null;
+    }
+    if (this.handlePopState) {
+      window.removeEventListener("popstate", this.handlePopState);
+      this.handlePopState = null;
+    }
+    if (this.handleClick) {
+      this.element.removeEventListener("click", this.handleClick);
+      this.handleClick = null;
+    }
+    this.reloadQueued = false;
+    // Leave the element ready for a new widget
+    this.element.classList.remove(
+      "securent-fb-widget",
+      `securent-fb-theme-${this.options.theme}`
+    );
+    this.element.replaceChildren();
+    // After the posts are gone, so focus isn't returned to a removed photo
+    closeLightbox(this);
   }
 }
@@ -0,0 +1,54 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { JSDOM } from "jsdom";
+
+import { sanitizeHtml, sanitizeLayout } from "../src/sanitize.js";
+
+const GLOBALS = ["document", "Node"];
+
+before(() => {
+  const { window } = new JSDOM("", { url: "https://example.com/" });
+  GLOBALS.forEach((name) => {
+    globalThis[name] = window[name];
+  });
+});
+
+after(() => {
+  GLOBALS.forEach((name) => {
+    delete globalThis[name];
+  });
+});
+
+test("sanitizeLayout removes scripts, handlers and unsafe URLs", () => {
+  const html = sanitizeLayout(`
+    <script>alert(1)</script>
+    <img src="javascript:alert(1)" onerror="alert(1)">
+    <a href="javascript:alert(1)" onclick="alert(1)">Link</a>
+    <iframe src="https://example.com/"></iframe>
+    <span style="background: url(https://example.com/)">Styled</span>
+  `);
+
+  assert.doesNotMatch(html, /script|onerror|onclick|javascript|iframe|style/);
+  assert.match(html, /<a>Link<\/a>/);
+  assert.match(html, /<span>Styled<\/span>/);
+});
+
+test("sanitizeLayout keeps the widget's own post markup", () => {
+  const markup = [
+    '<time class="securent-fb-timestamp" part="timestamp" datetime="2025-12-15T09:01:23+0000" title="15/12/2025">2 hours ago</time>',
+    '<span class="securent-fb-source-badge" style="--securent-fb-source-colour: #1877f2">NT Police</span>',
+    '<button type="button" class="securent-fb-lightbox-trigger" data-lightbox-index="0" aria-haspopup="dialog"><img src="https://example.com/photo.jpg" alt="Flood map" loading="lazy"></button>',
+    '<svg viewBox="0 0 24 24" fill="none" aria-hidden="true"><path d="M1 1h22"></path></svg>',
+  ];
+
+  markup.forEach((html) => {
+    assert.equal(sanitizeLayout(html), html);
+  });
+});
+
+test("sanitizeHtml still strips layout markup from author content", () => {
+  assert.equal(
+    sanitizeHtml('<p id="intro"><img src="https://example.com/a.png">Hi</p>'),
+    "<p>Hi</p>"
+  );
+});
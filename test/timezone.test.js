@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseDateInZone, formatIsoDate } from "../src/timezone.js";
+
+// Browser zones on both sides of Darwin (UTC+9:30, no DST), including ones
+// with DST
+const BROWSER_ZONES = [
+  "UTC",
+  "America/New_York",
+  "Europe/London",
+  "Asia/Tokyo",
+];
+
+function inBrowserZones(fn) {
+  const original = process.env.TZ;
+  try {
+    BROWSER_ZONES.forEach((zone) => {
+      process.env.TZ = zone;
+      fn(zone);
+    });
+  } finally {
+    if (original === undefined) {
+      delete process.env.TZ;
+    } else {
+      process.env.TZ = original;
+    }
+  }
+}
+
+test("date-only values are midnight in the widget's zone", () => {
+  inBrowserZones((zone) => {
+    const date = parseDateInZone("2025-11-15", "Australia/Darwin");
+    assert.equal(date.toISOString(), "2025-11-14T14:30:00.000Z", zone);
+  });
+});
+
+test("date-times without an offset are wall-clock times in the widget's zone", () => {
+  inBrowserZones((zone) => {
+    assert.equal(
+      parseDateInZone("2025-11-15T10:00", "Australia/Darwin").toISOString(),
+      "2025-11-15T00:30:00.000Z",
+      zone
+    );
+    assert.equal(
+      parseDateInZone(
+        "2025-11-15 10:00:30.5",
+        "Australia/Darwin"
+      ).toISOString(),
+      "2025-11-15T00:30:30.500Z",
+      zone
+    );
+  });
+});
+
+test("wall-clock times follow the zone's DST rules", () => {
+  inBrowserZones((zone) => {
+    // Sydney is UTC+11 in January and UTC+10 in July
+    assert.equal(
+      parseDateInZone("2025-01-10T09:00", "Australia/Sydney").toISOString(),
+      "2025-01-09T22:00:00.000Z",
+      zone
+    );
+    assert.equal(
+      parseDateInZone("2025-07-10T09:00", "Australia/Sydney").toISOString(),
+      "2025-07-09T23:00:00.000Z",
+      zone
+    );
+  });
+});
+
+test("values with an offset or Z are absolute instants", () => {
+  inBrowserZones((zone) => {
+    assert.equal(
+      parseDateInZone(
+        "2025-11-15T10:00:00+09:30",
+        "Europe/London"
+      ).toISOString(),
+      "2025-11-15T00:30:00.000Z",
+      zone
+    );
+    assert.equal(
+      parseDateInZone("2025-11-15T10:00:00Z", "Australia/Darwin").toISOString(),
+      "2025-11-15T10:00:00.000Z",
+      zone
+    );
+  });
+});
+
+test("invalid values give an invalid Date", () => {
+  assert.ok(isNaN(parseDateInZone("not a date", "Australia/Darwin").getTime()));
+});
+
+test("formatIsoDate uses the widget's zone, not the browser's", () => {
+  inBrowserZones((zone) => {
+    const instant = new Date("2025-11-14T20:00:00Z");
+    assert.equal(
+      formatIsoDate(instant, "Australia/Darwin"),
+      "2025-11-15",
+      zone
+    );
+  });
+});
@@ -0,0 +1,81 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { JSDOM } from "jsdom";
+
+const GLOBALS = ["window", "document", "ShadowRoot", "IntersectionObserver"];
+
+let FacebookFeedWidget;
+
+before(async () => {
+  const { window } = new JSDOM("<!DOCTYPE html><body></body>", {
+    url: "https://example.com/",
+  });
+  // jsdom doesn't lay pages out, so nothing ever scrolls into view and the
+  // widget never loads the feed
+  window.IntersectionObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+  GLOBALS.forEach((name) => {
+    globalThis[name] = window[name];
+  });
+
+  ({ FacebookFeedWidget } = await import("../src/widget.js"));
+});
+
+after(() => {
+  GLOBALS.forEach((name) => {
+    delete globalThis[name];
+  });
+});
+
+test("destroy() closes the widget's open lightbox", () => {
+  const element = document.createElement("div");
+  document.body.appendChild(element);
+  const widget = new FacebookFeedWidget(element, { deepLink: false });
+
+  // Markup as renderMedia() builds it for a photo
+  element.innerHTML = `
+    <div class="securent-fb-media">
+      <button type="button" data-lightbox-index="0">
+        <img src="https://example.com/photo.jpg" alt="Flood map">
+      </button>
+    </div>
+  `;
+  element.querySelector("[data-lightbox-index]").click();
+
+  assert.ok(document.querySelector(".securent-fb-lightbox"));
+  assert.equal(document.body.style.overflow, "hidden");
+
+  widget.destroy();
+
+  assert.equal(document.querySelector(".securent-fb-lightbox"), null);
+  assert.equal(document.body.style.overflow, "");
+  element.remove();
+});
+
+test("destroy() leaves another widget's lightbox open", () => {
+  const first = document.createElement("div");
+  const second = document.createElement("div");
+  document.body.append(first, second);
+  const firstWidget = new FacebookFeedWidget(first, { deepLink: false });
+  const secondWidget = new FacebookFeedWidget(second, { deepLink: false });
+
+  second.innerHTML = `
+    <div class="securent-fb-media">
+      <button type="button" data-lightbox-index="0">
+        <img src="https://example.com/photo.jpg" alt="">
+      </button>
+    </div>
+  `;
+  second.querySelector("[data-lightbox-index]").click();
+
+  firstWidget.destroy();
+  assert.ok(document.querySelector(".securent-fb-lightbox"));
+
+  secondWidget.destroy();
+  assert.equal(document.querySelector(".securent-fb-lightbox"), null);
+  first.remove();
+  second.remove();
+});